@@ -0,0 +1,63 @@
+// Times the hook against a generated project with thousands of docs.
+//
+//   node plugins/microdoc/bench/bench.mjs [--docs 5000] [--reference 20] [--reference-kb 1024]
+//
+// Besides the small docs, the fixture contains large generated reference files (a short
+// frontmatter over a huge table) -- the shape that used to push the hook past its timeout.
+// Each small doc links to the next, so the link graph has real bodies to read.
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { parseArgs } from "node:util";
+
+const SCRIPT = path.resolve(import.meta.dirname, "../hooks/microdoc.mjs");
+
+const { values } = parseArgs({
+  options: {
+    docs: { type: "string", default: "5000" },
+    reference: { type: "string", default: "20" },
+    "reference-kb": { type: "string", default: "1024" },
+  },
+});
+
+function writeFixture(dir, docs, reference, referenceKb) {
+  for (let i = 0; i < docs; i++) {
+    const file = path.join(dir, "docs", `area-${i % 50}`, `doc-${i}.md`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      `---\ndescription: Topic ${i}. Decisions, constraints and tradeoffs for area ${i % 50}.\ntags: [bench, area-${i % 50}]\n---\n\n# Doc ${i}\n\n${"Body text. ".repeat(200)}\n\nNext: [doc ${(i + 1) % docs}](../area-${((i + 1) % docs) % 50}/doc-${(i + 1) % docs}.md).\n`,
+    );
+  }
+  const body = "| symbol | signature | notes |\n".repeat(Math.ceil((referenceKb * 1024) / 28));
+  for (let i = 0; i < reference; i++) {
+    const file = path.join(dir, "docs", "reference", `generated-${i}.md`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `---\ndescription: Generated API reference, part ${i}.\n---\n\n${body}`);
+  }
+}
+
+function time(label, env, input = "") {
+  const start = process.hrtime.bigint();
+  const out = execFileSync("node", [SCRIPT], { env: { PATH: process.env.PATH, ...env }, input, encoding: "utf-8" });
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(22)} ${ms.toFixed(0).padStart(6)} ms  ${(out.length / 1024).toFixed(0)} KiB of output`);
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-bench-"));
+try {
+  const docs = Number(values.docs);
+  const reference = Number(values.reference);
+  writeFixture(tmpDir, docs, reference, Number(values["reference-kb"]));
+  console.log(`${docs} docs, ${reference} reference docs of ${values["reference-kb"]} KiB`);
+
+  const env = { CLAUDE_PROJECT_DIR: tmpDir, TMPDIR: tmpDir };
+  time("no cache", env);
+  time("no cache, no links", { ...env, CLAUDE_MICRODOC_LINKS: "0" });
+  time("prompt, no cache", env, JSON.stringify({ hook_event_name: "UserPromptSubmit", prompt: "area 7 tradeoffs" }));
+  time("cache (cold)", { ...env, CLAUDE_MICRODOC_CACHE: "1" });
+  time("cache (warm)", { ...env, CLAUDE_MICRODOC_CACHE: "1" });
+} finally {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
@@ -1,41 +1,287 @@
 import fs from "node:fs";
+import os from "node:os";
 import path from "node:path";
+import { createHash } from "node:crypto";
 import { execFileSync } from "node:child_process";
 import { fileURLToPath } from "node:url";
+import readline from "node:readline";
+import { parseArgs } from "node:util";
+import * as xml from "./renderers/xml.mjs";
+import * as markdown from "./renderers/markdown.mjs";
+import * as json from "./renderers/json.mjs";
 
-export function xmlEscape(text) {
-  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+export { xmlEscape, xmlEscapeAttr, docAttributes, doc as renderDoc } from "./renderers/xml.mjs";
+
+export const RENDERERS = { xml, markdown, json };
+
+// Every long-running step checks the deadline and stops early instead of overrunning the hook timeout
+export function createDeadline(ms, clock = Date.now) {
+  const end = ms > 0 ? clock() + ms : Infinity;
+  let tripped = false;
+  return {
+    // Callers only ask before a unit of work, so a true answer means something was cut short
+    expired() {
+      if (!tripped && clock() >= end) tripped = true;
+      return tripped;
+    },
+    remaining: () => Math.max(0, end - clock()),
+    tripped: () => tripped,
+  };
+}
+
+// The debug setting's stderr trace. A message can be a function, built only when the log is on.
+// A log scoped to one path (the explain command) drops per-file messages about other paths.
+export function createDebugLog(
+  enabled,
+  { only = null, write = (message) => process.stderr.write(`microdoc: debug: ${message}\n`) } = {},
+) {
+  const log = (message, rel = null) => {
+    if (!enabled || (only !== null && rel !== null && rel !== only)) return;
+    write(typeof message === "function" ? message() : message);
+  };
+  log.enabled = enabled;
+  log.only = only;
+  return log;
 }
 
-export function xmlEscapeAttr(text) {
-  return xmlEscape(text).replace(/"/g, "&quot;");
+const NO_LOG = createDebugLog(false);
+
+export function timed(log, phase, fn) {
+  if (!log.enabled) return fn();
+  const start = performance.now();
+  const result = fn();
+  log(`timing: ${phase} took ${(performance.now() - start).toFixed(1)} ms`);
+  return result;
 }
 
 export const SKIP_DIRS = new Set([".git", "node_modules", ".next", ".nuxt", "dist", "build", ".turbo", ".cache"]);
 
-export function readdirRecursive(dir) {
+// Read in each directory of the filesystem walk; later files win over earlier ones, like
+// ripgrep's .ignore over .gitignore. git itself only knows .gitignore, so the others are
+// applied to git listings separately (TOOL_IGNORE_FILES).
+export const IGNORE_FILES = [".gitignore", ".ignore", ".microdocignore"];
+export const TOOL_IGNORE_FILES = [".ignore", ".microdocignore"];
+
+// One .gitignore line, or null for blanks and comments. base is the directory holding the
+// ignore file, relative to the walk root ("" for the root itself).
+export function parseIgnoreLine(line, base = "") {
+  let pattern = line.replace(/(?<!\\)[ \t]+$/, "");
+  if (pattern === "" || pattern.startsWith("#")) return null;
+  const negate = pattern.startsWith("!");
+  if (negate) pattern = pattern.slice(1);
+  if (pattern.startsWith("\\#") || pattern.startsWith("\\!")) pattern = pattern.slice(1);
+  const dirOnly = pattern.endsWith("/");
+  if (dirOnly) pattern = pattern.replace(/\/+$/, "");
+  if (pattern === "") return null;
+  // A slash anywhere but the end anchors the pattern to the ignore file's directory
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\/+/, "");
+  const regex = globToRegex(anchored ? pattern : `**/${pattern}`);
+  return { base, negate, dirOnly, regex };
+}
+
+export function parseIgnoreFile(content, base = "") {
+  return splitLines(content)
+    .map((line) => parseIgnoreLine(line, base))
+    .filter(Boolean);
+}
+
+// The last matching rule wins, so a deeper ignore file or a later "!pattern" can re-include
+export function isIgnored(rules, rel, isDir = false) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.base && !rel.startsWith(rule.base + "/")) continue;
+    if (rule.regex.test(rule.base ? rel.slice(rule.base.length + 1) : rel)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+// Like git, nothing inside an ignored directory can be re-included
+export function isIgnoredPath(rules, rel) {
+  const parts = rel.split("/");
+  for (let i = 1; i < parts.length; i++) {
+    if (isIgnored(rules, parts.slice(0, i).join("/"), true)) return true;
+  }
+  return isIgnored(rules, rel);
+}
+
+function readIgnoreRules(dir, base, names) {
+  const rules = [];
+  for (const name of names) {
+    try {
+      rules.push(...parseIgnoreFile(fs.readFileSync(path.join(dir, name), "utf-8"), base));
+    } catch {
+      continue;
+    }
+  }
+  return rules;
+}
+
+// Walks dir, skipping skipDirs by name and whatever the ignore files between root and the
+// leaves exclude. Symlinks are followed; a directory already walked, such as a link back up
+// the tree, is not walked again.
+export function readdirRecursive(dir, deadline = createDeadline(0), { root = dir, skipDirs = SKIP_DIRS, ignoreFiles = IGNORE_FILES } = {}) {
+  const skip = new Set(skipDirs);
+  const visited = new Set();
   const results = [];
-  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
-    if (SKIP_DIRS.has(entry.name)) continue;
-    const full = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      results.push(...readdirRecursive(full));
-    } else if (entry.isFile()) {
-      results.push(full);
+
+  const walk = (abs, rel, rules) => {
+    let real;
+    try {
+      real = fs.realpathSync(abs);
+    } catch {
+      return;
+    }
+    if (visited.has(real)) return;
+    visited.add(real);
+    let entries;
+    try {
+      entries = fs.readdirSync(abs, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    const present = new Set(entries.map((entry) => entry.name));
+    const local = readIgnoreRules(abs, rel, ignoreFiles.filter((name) => present.has(name)));
+    const scope = local.length > 0 ? [...rules, ...local] : rules;
+    for (const entry of entries) {
+      if (deadline.expired()) break;
+      const full = path.join(abs, entry.name);
+      const entryRel = rel ? `${rel}/${entry.name}` : entry.name;
+      let isDir = entry.isDirectory();
+      let isFile = entry.isFile();
+      if (entry.isSymbolicLink()) {
+        let target;
+        try {
+          target = fs.statSync(full);
+        } catch {
+          // Dangling, looping (ELOOP) or unreadable links are skipped
+          continue;
+        }
+        isDir = target.isDirectory();
+        isFile = target.isFile();
+      }
+      if (isDir) {
+        if (skip.has(entry.name) || isIgnored(scope, entryRel, true)) continue;
+        walk(full, entryRel, scope);
+      } else if (isFile && !isIgnored(scope, entryRel)) {
+        results.push(full);
+      }
     }
+  };
+
+  // Ignore files above dir still apply to it, as the walk would have met them on the way down
+  let rules = readIgnoreRules(root, "", ignoreFiles);
+  const start = path.relative(root, dir).split(path.sep).filter(Boolean);
+  for (let i = 0; i < start.length; i++) {
+    const rel = start.slice(0, i + 1).join("/");
+    if (skip.has(start[i]) || isIgnored(rules, rel, true)) return results;
+    rules = [...rules, ...readIgnoreRules(path.join(root, rel), rel, ignoreFiles)];
   }
+  walk(dir, start.join("/"), rules);
   return results;
 }
 
-export function listFilesGit(projectDir) {
-  const output = execFileSync("git", ["ls-files", "--cached", "--others", "--exclude-standard"], {
-    cwd: projectDir,
+// git already applied .gitignore; apply the tool ignore files found in its listing
+export function filterIgnoredFiles(projectDir, files, names = TOOL_IGNORE_FILES) {
+  const depth = (dir) => (dir === "." ? 0 : dir.split("/").length);
+  const ignoreFiles = files
+    .filter((rel) => names.includes(path.posix.basename(rel)))
+    .sort((a, b) => {
+      const order = (rel) => names.indexOf(path.posix.basename(rel));
+      return depth(path.posix.dirname(a)) - depth(path.posix.dirname(b)) || order(a) - order(b);
+    });
+  if (ignoreFiles.length === 0) return files;
+  const rules = ignoreFiles.flatMap((rel) => {
+    const dir = path.posix.dirname(rel);
+    return readIgnoreRules(path.join(projectDir, dir), dir === "." ? "" : dir, [path.posix.basename(rel)]);
+  });
+  return files.filter((rel) => !isIgnoredPath(rules, rel));
+}
+
+// The ignore file that hides rel, read the way the walk meets them: root first, then each
+// directory on the way down. null when nothing ignores it.
+export function findIgnoreFile(projectDir, rel, names = IGNORE_FILES) {
+  const dirs = rel.split("/").slice(0, -1);
+  let rules = [];
+  let source = null;
+  for (let i = 0; i <= dirs.length; i++) {
+    const base = dirs.slice(0, i).join("/");
+    for (const name of names) {
+      const added = readIgnoreRules(path.join(projectDir, base), base, [name]);
+      if (added.length === 0) continue;
+      const before = isIgnoredPath(rules, rel);
+      rules = [...rules, ...added];
+      const after = isIgnoredPath(rules, rel);
+      if (after !== before) source = after ? path.posix.join(base, name) : null;
+    }
+  }
+  return source;
+}
+
+function git(cwd, args, deadline = createDeadline(0)) {
+  if (deadline.expired()) throw new Error("time budget exhausted");
+  const remaining = deadline.remaining();
+  return execFileSync("git", args, {
+    cwd,
     encoding: "utf-8",
+    // Keep git's "not a git repository" noise out of the hook's stderr diagnostics
+    stdio: ["ignore", "pipe", "ignore"],
+    maxBuffer: 256 * 1024 * 1024,
+    timeout: Number.isFinite(remaining) ? Math.max(1, Math.ceil(remaining)) : undefined,
   });
-  return output.split("\n").filter(Boolean);
 }
 
-export function globToRegex(pattern) {
+export function listFilesGit(projectDir, deadline = createDeadline(0)) {
+  const files = git(projectDir, ["ls-files", "--cached", "--others", "--exclude-standard"], deadline)
+    .split("\n")
+    .filter(Boolean);
+  if (!fs.existsSync(path.join(projectDir, ".gitmodules"))) return files;
+
+  // Submodules show up as a single gitlink entry; list their contents separately
+  const submodules = git(projectDir, ["ls-files", "--stage"], deadline)
+    .split("\n")
+    .filter((line) => line.startsWith("160000 "))
+    .map((line) => line.slice(line.indexOf("\t") + 1));
+  const gitlinks = new Set(submodules);
+  const result = files.filter((file) => !gitlinks.has(file));
+  for (const sub of submodules) {
+    if (deadline.expired()) break;
+    const subDir = path.join(projectDir, sub);
+    // Uninitialized submodules are empty directories inside the parent repo
+    if (!fs.existsSync(path.join(subDir, ".git"))) continue;
+    try {
+      result.push(...listFilesGit(subDir, deadline).map((file) => `${sub}/${file}`));
+    } catch {
+      continue;
+    }
+  }
+  return result;
+}
+
+// Splits on commas outside braces, keeping empty alternatives (unlike splitGlobs)
+function splitAlternatives(str) {
+  const alts = [""];
+  let depth = 0;
+  for (const ch of str) {
+    if (ch === "{") depth++;
+    else if (ch === "}") depth--;
+    if (ch === "," && depth === 0) alts.push("");
+    else alts[alts.length - 1] += ch;
+  }
+  return alts;
+}
+
+function findClosingBrace(pattern, open) {
+  let depth = 0;
+  for (let i = open; i < pattern.length; i++) {
+    if (pattern[i] === "{") depth++;
+    else if (pattern[i] === "}" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function globToRegexSource(pattern) {
   let re = "";
   for (let i = 0; i < pattern.length; i++) {
     const ch = pattern[i];
@@ -47,18 +293,58 @@ export function globToRegex(pattern) {
     } else if (ch === "?") {
       re += "[^/]";
     } else if (ch === "{") {
-      const close = pattern.indexOf("}", i);
+      const close = findClosingBrace(pattern, i);
       if (close === -1) { re += "\\{"; continue; }
-      const alts = pattern.slice(i + 1, close).split(",");
-      re += "(" + alts.map(a => a.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|") + ")";
+      const alts = splitAlternatives(pattern.slice(i + 1, close));
+      re += "(?:" + alts.map(globToRegexSource).join("|") + ")";
+      i = close;
+    } else if (ch === "[") {
+      let start = i + 1;
+      const negated = pattern[start] === "!" || pattern[start] === "^";
+      if (negated) start++;
+      // A "]" right after the opening bracket is a literal member
+      const close = pattern.indexOf("]", pattern[start] === "]" ? start + 1 : start);
+      if (close === -1) { re += "\\["; continue; }
+      const members = pattern.slice(start, close).replace(/[\\\]^[]/g, "\\$&");
+      re += (negated ? "[^/" : "[") + members + "]";
       i = close;
-    } else if (".+^$|()[]\\".includes(ch)) {
+    } else if (".+^$|()[]}\\".includes(ch)) {
       re += "\\" + ch;
     } else {
       re += ch;
     }
   }
-  return new RegExp("^" + re + "$");
+  return re;
+}
+
+export function globToRegex(pattern) {
+  return new RegExp("^" + globToRegexSource(pattern) + "$");
+}
+
+export function globMatcher(patterns) {
+  const include = [];
+  const exclude = [];
+  for (const pattern of patterns) {
+    if (pattern.startsWith("!")) exclude.push(globToRegex(pattern.slice(1)));
+    else include.push(globToRegex(pattern));
+  }
+  return (rel) => include.some((re) => re.test(rel)) && !exclude.some((re) => re.test(rel));
+}
+
+// Like globMatcher, but also names the deciding pattern: the first include that matches, or
+// the negation that then rejects the path. pattern is null when no include matches.
+export function explainMatcher(patterns) {
+  const compiled = patterns.map((pattern) => ({
+    pattern,
+    negate: pattern.startsWith("!"),
+    regex: globToRegex(pattern.replace(/^!/, "")),
+  }));
+  return (rel) => {
+    const include = compiled.find((p) => !p.negate && p.regex.test(rel));
+    if (!include) return { matched: false, pattern: null };
+    const exclude = compiled.find((p) => p.negate && p.regex.test(rel));
+    return exclude ? { matched: false, pattern: exclude.pattern } : { matched: true, pattern: include.pattern };
+  };
 }
 
 export function splitGlobs(str) {
@@ -89,25 +375,134 @@ export function extractStaticPrefix(pattern) {
   return lastSlash === -1 ? "" : prefix.slice(0, lastSlash);
 }
 
-export function extractDescription(content) {
-  if (!content.startsWith("---\n")) return null;
-  const end = content.indexOf("\n---", 4);
+const FRONTMATTER_DELIMITER = /^---[ \t]*$/;
+
+// Editors on Windows add a BOM and CRLF line endings; normalize both
+function splitLines(content) {
+  return content.replace(/^\uFEFF/, "").split(/\r?\n/);
+}
+
+export function extractFrontmatter(content) {
+  const lines = splitLines(content);
+  if (!FRONTMATTER_DELIMITER.test(lines[0])) return null;
+  const end = lines.findIndex((line, i) => i > 0 && FRONTMATTER_DELIMITER.test(line));
   if (end === -1) return null;
-  const frontmatter = content.slice(4, end);
+  return lines.slice(1, end).join("\n");
+}
+
+const HEAD_CHUNK_BYTES = 4096;
+const HEAD_MAX_BYTES = 256 * 1024;
+export const MAX_DOC_BYTES = 8 * 1024 * 1024;
+
+function frontmatterComplete(lines) {
+  if (lines.length === 0) return false;
+  return !FRONTMATTER_DELIMITER.test(lines[0]) || lines.some((line, i) => i > 0 && FRONTMATTER_DELIMITER.test(line));
+}
+
+// Reads a doc only up to its closing ---. Generated reference docs under the glob can be
+// megabytes long, and reading their bodies alone can blow the hook's 5-second timeout.
+export function readFrontmatterHead(file) {
+  return readHead(file, { done: frontmatterComplete });
+}
+
+// Reads chunks until done(completeLines) says the metadata is in, or maxBytes is reached.
+// A read cut short by maxBytes ends at the last complete line.
+export function readHead(file, { maxBytes = HEAD_MAX_BYTES, done = () => false } = {}) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    if (size > MAX_DOC_BYTES) throw new Error(`larger than ${MAX_DOC_BYTES / 1024 / 1024} MiB`);
+    const chunks = [];
+    let total = 0;
+    let text = "";
+    while (total < maxBytes) {
+      const chunk = Buffer.alloc(HEAD_CHUNK_BYTES);
+      const bytes = fs.readSync(fd, chunk, 0, HEAD_CHUNK_BYTES, null);
+      if (bytes === 0) break;
+      if (total === 0 && chunk.subarray(0, bytes).includes(0)) throw new Error("binary file");
+      chunks.push(chunk.subarray(0, bytes));
+      total += bytes;
+      text = Buffer.concat(chunks).toString("utf-8");
+      // The last line may be cut mid-chunk, so only complete lines decide when to stop
+      if (done(splitLines(text).slice(0, -1))) return text;
+    }
+    // A link or scalar split by the limit would otherwise read as a shorter, wrong value
+    return total < size ? text.slice(0, text.lastIndexOf("\n") + 1) : text;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+export function stripComment(text) {
+  const match = text.match(/(^|\s)#/);
+  return (match ? text.slice(0, match.index) : text).trimEnd();
+}
+
+const ESCAPES = { n: "\n", t: "\t", r: "\r", 0: "\0", '"': '"', "\\": "\\", "/": "/", " ": " " };
+
+// Parses a quoted scalar at the start of text. Returns null if the closing quote is missing.
+export function parseQuoted(text) {
+  const quote = text[0];
+  let value = "";
+  for (let i = 1; i < text.length; i++) {
+    const ch = text[i];
+    if (quote === "'" && ch === "'") {
+      if (text[i + 1] === "'") {
+        value += "'";
+        i++;
+        continue;
+      }
+      return { value, rest: text.slice(i + 1) };
+    }
+    if (quote === '"' && ch === '"') {
+      return { value, rest: text.slice(i + 1) };
+    }
+    if (quote === '"' && ch === "\\") {
+      const next = text[i + 1];
+      if (next === "u" && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+        value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+        i += 5;
+      } else {
+        value += ESCAPES[next] ?? next ?? "";
+        i++;
+      }
+      continue;
+    }
+    value += ch;
+  }
+  return null;
+}
+
+export function parseInline(text) {
+  const value = text.trim();
+  if (/^["']/.test(value)) {
+    const quoted = parseQuoted(value);
+    if (quoted) return quoted.value;
+  }
+  return stripComment(value);
+}
+
+export function extractScalar(content, key) {
+  const frontmatter = extractFrontmatter(content);
+  if (frontmatter === null) return null;
 
   const lines = frontmatter.split("\n");
   for (let i = 0; i < lines.length; i++) {
-    const match = lines[i].match(/^description:\s*(.*)/);
-    if (!match) continue;
-    const value = match[1];
+    if (!lines[i].startsWith(key + ":")) continue;
+    let value = lines[i].slice(key.length + 1).replace(/^\s+/, "");
 
-    // Quoted string
+    // Quoted string, possibly folded across indented lines
     if (/^["']/.test(value)) {
-      return value.slice(1, -1);
+      let quoted = parseQuoted(value);
+      for (let j = i + 1; !quoted && j < lines.length && /^\s/.test(lines[j]); j++) {
+        value += " " + lines[j].trim();
+        quoted = parseQuoted(value);
+      }
+      return quoted ? quoted.value : null;
     }
 
-    // Block scalar indicator
-    if (/^[|>][+-]?\s*$/.test(value)) {
+    // Block scalar indicator, with optional chomp/indent indicators and comment
+    if (/^[|>]([+-]?\d?|\d[+-])\s*(#.*)?$/.test(value)) {
       const folded = value.startsWith(">");
       const collected = [];
       for (let j = i + 1; j < lines.length; j++) {
@@ -126,78 +521,2418 @@ export function extractDescription(content) {
       return folded ? collected.join(" ") : collected.join("\n");
     }
 
-    // Inline value
+    // Plain scalar, continuing onto more-indented lines
+    const parts = [stripComment(value)];
+    for (let j = i + 1; j < lines.length; j++) {
+      const line = lines[j].trim();
+      if (!/^\s/.test(lines[j]) || line === "" || line.startsWith("#")) break;
+      parts.push(stripComment(line));
+    }
+    const plain = parts.filter(Boolean).join(" ");
+    return plain !== "" ? plain : null;
+  }
+
+  return null;
+}
+
+export function extractDescription(content) {
+  return extractScalar(content, "description");
+}
+
+export function extractList(content, key) {
+  const frontmatter = extractFrontmatter(content);
+  if (frontmatter === null) return [];
+  return parseYamlList(frontmatter, key);
+}
+
+export function parseYamlList(yaml, key) {
+  const lines = yaml.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith(key + ":")) continue;
+    const value = stripComment(lines[i].slice(key.length + 1).trim());
+
+    // Flow sequence: [a, b]
+    if (value.startsWith("[") && value.endsWith("]")) {
+      return splitGlobs(value.slice(1, -1)).map(parseInline).filter(Boolean);
+    }
+
+    // Single inline value
     if (value !== "") {
-      return value;
+      return [parseInline(value)];
     }
 
-    return null;
+    // Block sequence: indented "- item" lines
+    const items = [];
+    for (let j = i + 1; j < lines.length; j++) {
+      const item = lines[j].match(/^\s*-\s+(.*)/);
+      if (item) {
+        items.push(parseInline(item[1]));
+      } else if (lines[j].trim() !== "" && !lines[j].trim().startsWith("#")) {
+        break;
+      }
+    }
+    return items.filter(Boolean);
   }
 
-  return null;
+  return [];
 }
 
-function main() {
-  const projectDir = process.env.CLAUDE_PROJECT_DIR;
-  if (!projectDir) process.exit(0);
+export const CONDITION_KEYS = ["branch", "env", "files"];
 
-  if (process.env.CLAUDE_MICRODOC_DISABLED === "1") process.exit(0);
+// The indented lines under a top-level key, dedented, or null when the key is absent or
+// has an inline value instead of a nested block
+export function yamlBlock(yaml, key) {
+  const lines = yaml.split(/\r?\n/);
+  const start = lines.findIndex((line) => line.startsWith(key + ":"));
+  if (start === -1 || stripComment(lines[start].slice(key.length + 1).trim()) !== "") return null;
+  const block = [];
+  for (const line of lines.slice(start + 1)) {
+    if (line.trim() !== "" && !/^\s/.test(line)) break;
+    block.push(line);
+  }
+  const indent = Math.min(...block.filter((line) => line.trim()).map((line) => line.match(/^\s*/)[0].length));
+  return block.map((line) => line.slice(Math.min(indent, line.match(/^\s*/)[0].length))).join("\n");
+}
 
-  const globStr = process.env.CLAUDE_MICRODOC_GLOB || "docs/**/*.{md,mdc}";
-  const patterns = splitGlobs(globStr).filter(Boolean);
-  const regexes = patterns.map(globToRegex);
+// A flow mapping such as "{files: [Dockerfile], env: CI}" as one "key: value" line per entry,
+// or null when the value is not a mapping
+function flowMappingBlock(value) {
+  if (!value.startsWith("{") || !value.endsWith("}")) return null;
+  const entries = [];
+  let current = "";
+  let depth = 0;
+  for (const ch of value.slice(1, -1)) {
+    if (ch === "[" || ch === "{") depth++;
+    else if (ch === "]" || ch === "}") depth--;
+    if (ch === "," && depth === 0) {
+      entries.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  entries.push(current.trim());
+  const lines = entries.filter(Boolean);
+  return lines.every((line) => /^[^\s:][^:]*:(\s|$)/.test(line)) ? lines.join("\n") : null;
+}
 
-  const prefixes = [...new Set(patterns.map(extractStaticPrefix))];
+// The frontmatter's when: block or flow mapping as lists per condition, or null without one.
+// Keys outside CONDITION_KEYS are collected under unknown, as is a when: that is neither.
+export function extractConditions(content) {
+  const frontmatter = extractFrontmatter(content);
+  const line = frontmatter?.split("\n").find((l) => l.startsWith("when:"));
+  if (line === undefined) return null;
+  const block = yamlBlock(frontmatter, "when") ?? flowMappingBlock(stripComment(line.slice("when:".length).trim()));
+  if (block === null) return { unknown: ["when"] };
+  const when = {};
+  for (const key of CONDITION_KEYS) {
+    const values = parseYamlList(block, key);
+    if (values.length > 0) when[key] = values;
+  }
+  const unknown = block
+    .split("\n")
+    .map((line) => /^(?!-\s)([^\s#:][^:]*):/.exec(line)?.[1])
+    .filter((key) => key && !CONDITION_KEYS.includes(key));
+  if (unknown.length > 0) when.unknown = unknown;
+  return Object.keys(when).length > 0 ? when : null;
+}
 
-  let allFiles;
-  try {
-    allFiles = listFilesGit(projectDir);
-  } catch {
-    // Not a git repo or git not installed -- fall back to filesystem scan
-    allFiles = [];
-    for (const prefix of prefixes) {
-      const dir = path.join(projectDir, prefix);
+function splitCommaList(value) {
+  return value ? value.split(",").map((item) => item.trim()).filter(Boolean) : [];
+}
+
+// AsciiDoc header: optional "= Title", then ":name: value" entries up to the first blank line
+export function parseAsciidocHeader(content) {
+  const fields = {};
+  const lines = splitLines(content);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === "") break;
+    if (line.startsWith("//")) continue;
+    const title = line.match(/^=\s+(.+)$/);
+    if (title) {
+      fields.doctitle ??= title[1].trim();
+      continue;
+    }
+    const attr = line.match(/^:([\w][\w-]*):(?:\s+(.*))?$/);
+    if (!attr) continue;
+    let value = attr[2] || "";
+    // A trailing " \" continues the value on the next line
+    while (value.endsWith(" \\") && i + 1 < lines.length) value = value.slice(0, -2) + " " + lines[++i].trim();
+    fields[attr[1].toLowerCase()] = value.trim();
+  }
+  fields.title ||= fields.doctitle;
+  fields.tags ||= fields.keywords;
+  return fields;
+}
+
+const RST_ADORNMENT = /^([!-/:-@[-`{-~])\1{2,}\s*$/;
+
+// reStructuredText: section title, bibliographic field list, and the first body paragraph
+export function parseRstHeader(content) {
+  const fields = {};
+  const lines = splitLines(content);
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (line.trim() === "") {
+      i++;
+    } else if (RST_ADORNMENT.test(line) && RST_ADORNMENT.test(lines[i + 2] || "") && lines[i + 1]?.trim()) {
+      fields.title ??= lines[i + 1].trim();
+      i += 3;
+    } else if (!RST_ADORNMENT.test(line) && RST_ADORNMENT.test(lines[i + 1] || "")) {
+      fields.title ??= line.trim();
+      i += 2;
+    } else if (/^:[^:\s][^:]*:(\s|$)/.test(line)) {
+      const [, name, rest] = line.match(/^:([^:]+):\s*(.*)$/);
+      const parts = [rest.trim()];
+      for (i++; i < lines.length && /^\s+\S/.test(lines[i]); i++) parts.push(lines[i].trim());
+      fields[name.trim().toLowerCase().replace(/[\s-]+/g, "_")] = parts.filter(Boolean).join(" ");
+    } else if (line.startsWith("..")) {
+      // Comments and directives, with their indented bodies
+      for (i++; i < lines.length && (/^\s/.test(lines[i]) || lines[i] === ""); i++);
+    } else {
+      const parts = [];
+      for (; i < lines.length && lines[i].trim() !== ""; i++) parts.push(lines[i].trim());
+      fields.description ||= parts.join(" ");
+      break;
+    }
+  }
+  return fields;
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeHtml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+// HTML: <meta name="..." content="..."> tags and <title>
+export function parseHtmlHead(content) {
+  const fields = {};
+  for (const [, attrText] of content.matchAll(/<meta\s([^>]*)>/gi)) {
+    const attrs = {};
+    for (const [, name, , dq, sq, bare] of attrText.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attrs[name.toLowerCase()] = dq ?? sq ?? bare;
+    }
+    if (attrs.name && attrs.content !== undefined) fields[attrs.name.toLowerCase()] ??= decodeHtml(attrs.content).trim();
+  }
+  const title = content.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (title) fields.title ||= decodeHtml(title[1]).replace(/\s+/g, " ").trim();
+  fields.tags ||= fields.keywords;
+  return fields;
+}
+
+// Plain text: "Key: value" header lines at the top, ended by a blank line
+export function parseTextHeader(content) {
+  const fields = {};
+  let last = null;
+  for (const line of splitLines(content)) {
+    if (line.trim() === "") break;
+    if (last && /^\s/.test(line)) {
+      fields[last] = `${fields[last]} ${line.trim()}`.trim();
+      continue;
+    }
+    const header = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!header) break;
+    last = header[1].toLowerCase().replace(/-/g, "_");
+    fields[last] = header[2].trim();
+  }
+  return fields;
+}
+
+// Formats without a frontmatter terminator keep their metadata near the top
+const PREAMBLE_BYTES = 16 * 1024;
+
+// A YAML frontmatter block wins over the format's own conventions, as static site generators
+// allow it on any file type
+function fieldsExtractor(parse, done = () => false) {
+  const hasFrontmatter = (content) => extractFrontmatter(content) !== null;
+  return {
+    read: (file) =>
+      readHead(file, {
+        maxBytes: PREAMBLE_BYTES,
+        done: (lines) => (FRONTMATTER_DELIMITER.test(lines[0] ?? "") ? frontmatterComplete(lines) : done(lines)),
+      }),
+    scalar: (content, key) => (hasFrontmatter(content) ? extractScalar(content, key) : parse(content)[key] || null),
+    list: (content, key) => (hasFrontmatter(content) ? extractList(content, key) : splitCommaList(parse(content)[key])),
+  };
+}
+
+export const EXTRACTORS = {
+  yaml: { read: readFrontmatterHead, scalar: extractScalar, list: extractList },
+  asciidoc: fieldsExtractor(parseAsciidocHeader, (lines) => lines.some((line) => line.trim() === "")),
+  rst: fieldsExtractor(parseRstHeader),
+  html: fieldsExtractor(parseHtmlHead, (lines) => lines.some((line) => /<\/head>|<body[\s>]/i.test(line))),
+  text: fieldsExtractor(parseTextHeader, (lines) => lines.some((line) => line.trim() === "")),
+};
+
+export const EXTENSION_EXTRACTORS = {
+  md: "yaml",
+  mdc: "yaml",
+  mdx: "yaml",
+  markdoc: "yaml",
+  mdoc: "yaml",
+  adoc: "asciidoc",
+  asciidoc: "asciidoc",
+  rst: "rst",
+  html: "html",
+  htm: "html",
+  txt: "text",
+};
+
+// Config-registered formats without a built-in extractor: each field maps to a regex whose
+// first capture group is the value
+function patternExtractor(spec) {
+  const patterns = Object.entries(spec).map(([key, source]) => [key, new RegExp(source, "m")]);
+  const parse = (content) => {
+    const fields = {};
+    for (const [key, regex] of patterns) fields[key] = regex.exec(content)?.[1]?.trim();
+    return fields;
+  };
+  return fieldsExtractor(parse);
+}
+
+export function extractorFor(rel, extensions = {}) {
+  const ext = path.posix.extname(rel).slice(1).toLowerCase();
+  // Unknown extensions keep the historical behaviour: YAML frontmatter
+  const spec = extensions[ext] ?? EXTENSION_EXTRACTORS[ext] ?? "yaml";
+  return typeof spec === "string" ? EXTRACTORS[spec] : patternExtractor(spec);
+}
+
+export const DEFAULT_GLOB = "docs/**/*.{md,mdc}";
+// Extra roots are doc collections in their own right, so everything Markdown in them counts
+export const ROOT_GLOB = "**/*.{md,mdc}";
+
+export const DEFAULT_CONFIG = {
+  disabled: false,
+  glob: [DEFAULT_GLOB],
+  exclude: [],
+  maxTokens: 0,
+  inactive: "show",
+  layout: "flat",
+  groupLimit: 25,
+  maxWords: 25,
+  cache: false,
+  timeBudget: 4000,
+  format: "xml",
+  instructions: ".claude/microdoc-instructions.md",
+  extractors: {},
+  derive: false,
+  staleAfter: 1,
+  bodyCovers: false,
+  links: true,
+  roots: [],
+  skipDirs: [...SKIP_DIRS],
+  sectionLines: 0,
+  debug: false,
+};
+
+function coerceBoolean(value) {
+  if (typeof value !== "boolean") throw new Error("must be a boolean");
+  return value;
+}
+
+function coerceGlobs(value) {
+  const globs = typeof value === "string" ? splitGlobs(value) : value;
+  if (!Array.isArray(globs) || !globs.every((g) => typeof g === "string")) {
+    throw new Error("must be a string or an array of strings");
+  }
+  return globs.map((g) => g.trim()).filter(Boolean);
+}
+
+function coerceNonEmptyGlobs(value) {
+  const patterns = coerceGlobs(value);
+  if (patterns.length === 0) throw new Error("must contain at least one pattern");
+  return patterns;
+}
+
+function coerceEnum(...values) {
+  return (value) => {
+    if (!values.includes(value)) throw new Error(`must be one of ${values.map((v) => `"${v}"`).join(", ")}`);
+    return value;
+  };
+}
+
+function coerceNonEmptyString(value) {
+  if (typeof value !== "string" || value.trim() === "") throw new Error("must be a non-empty string");
+  return value.trim();
+}
+
+function coerceExtractors(value) {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    throw new Error("must be an object mapping file extensions to extractors");
+  }
+  const extractors = {};
+  for (const [rawExt, spec] of Object.entries(value)) {
+    const ext = rawExt.replace(/^\./, "").toLowerCase();
+    if (typeof spec === "string") {
+      if (!Object.hasOwn(EXTRACTORS, spec)) {
+        throw new Error(`entry "${ext}" must be one of ${Object.keys(EXTRACTORS).map((n) => `"${n}"`).join(", ")}`);
+      }
+    } else if (spec && typeof spec === "object" && !Array.isArray(spec) && Object.values(spec).every((p) => typeof p === "string")) {
+      for (const [key, source] of Object.entries(spec)) {
+        try {
+          new RegExp(source, "m");
+        } catch (err) {
+          throw new Error(`entry "${ext}" field "${key}" is not a valid regex: ${err.message}`);
+        }
+      }
+    } else {
+      throw new Error(`entry "${ext}" must be an extractor name or an object of regex strings`);
+    }
+    extractors[ext] = spec;
+  }
+  return extractors;
+}
+
+const ROOT_ALIAS = /^[a-z0-9][\w.-]*$/i;
+
+function coerceRoots(value) {
+  if (!Array.isArray(value)) throw new Error("must be an array of {path, alias} objects");
+  const roots = [];
+  for (const root of value) {
+    if (typeof root !== "object" || root === null || Array.isArray(root)) {
+      throw new Error("must be an array of {path, alias} objects");
+    }
+    if (typeof root.alias !== "string" || !ROOT_ALIAS.test(root.alias)) {
+      throw new Error(`alias ${JSON.stringify(root.alias)} must be letters, digits, ".", "_" or "-"`);
+    }
+    const label = `root "${root.alias}"`;
+    if (roots.some((r) => r.alias === root.alias)) throw new Error(`${label} is listed twice`);
+    // Fields without a fallback are required
+    const field = (key, coerce, fallback) => {
+      if (root[key] === undefined && fallback !== undefined) return fallback;
       try {
-        if (!fs.statSync(dir).isDirectory()) continue;
-      } catch {
+        return coerce(root[key]);
+      } catch (err) {
+        throw new Error(`${label} "${key}" ${err.message}`);
+      }
+    };
+    roots.push({
+      alias: root.alias,
+      path: field("path", coerceNonEmptyString),
+      glob: field("glob", coerceNonEmptyGlobs, [ROOT_GLOB]),
+      exclude: field("exclude", coerceGlobs, []),
+    });
+  }
+  return roots;
+}
+
+function coerceDirNames(value) {
+  const names = coerceGlobs(value);
+  const bad = names.find((name) => name.includes("/") || name === "." || name === "..");
+  if (bad !== undefined) throw new Error(`entry "${bad}" must be a directory name, not a path`);
+  return names;
+}
+
+function coerceCount(value) {
+  if (!Number.isInteger(value) || value < 0) throw new Error("must be a non-negative integer");
+  return value;
+}
+
+// Each key: the env var that overrides it, how to read that env string, and how to validate
+export const CONFIG_SCHEMA = {
+  disabled: { env: "CLAUDE_MICRODOC_DISABLED", fromEnv: (v) => v === "1", coerce: coerceBoolean },
+  glob: { env: "CLAUDE_MICRODOC_GLOB", fromEnv: (v) => v, coerce: coerceNonEmptyGlobs },
+  exclude: { env: "CLAUDE_MICRODOC_EXCLUDE", fromEnv: (v) => v, coerce: coerceGlobs },
+  maxTokens: { env: "CLAUDE_MICRODOC_MAX_TOKENS", fromEnv: Number, coerce: coerceCount },
+  inactive: { env: "CLAUDE_MICRODOC_INACTIVE", fromEnv: (v) => v, coerce: coerceEnum("show", "hide", "fold") },
+  layout: { env: "CLAUDE_MICRODOC_LAYOUT", fromEnv: (v) => v, coerce: coerceEnum("flat", "grouped") },
+  groupLimit: { env: "CLAUDE_MICRODOC_GROUP_LIMIT", fromEnv: Number, coerce: coerceCount },
+  maxWords: { env: "CLAUDE_MICRODOC_MAX_WORDS", fromEnv: Number, coerce: coerceCount },
+  cache: { env: "CLAUDE_MICRODOC_CACHE", fromEnv: (v) => v === "1", coerce: coerceBoolean },
+  timeBudget: { env: "CLAUDE_MICRODOC_TIME_BUDGET", fromEnv: Number, coerce: coerceCount },
+  format: { env: "CLAUDE_MICRODOC_FORMAT", fromEnv: (v) => v, coerce: coerceEnum(...Object.keys(RENDERERS)) },
+  instructions: { env: "CLAUDE_MICRODOC_INSTRUCTIONS", fromEnv: (v) => v, coerce: coerceNonEmptyString },
+  derive: { env: "CLAUDE_MICRODOC_DERIVE", fromEnv: (v) => v === "1", coerce: coerceBoolean },
+  staleAfter: { env: "CLAUDE_MICRODOC_STALE_AFTER", fromEnv: Number, coerce: coerceCount },
+  bodyCovers: { env: "CLAUDE_MICRODOC_BODY_COVERS", fromEnv: (v) => v === "1", coerce: coerceBoolean },
+  links: { env: "CLAUDE_MICRODOC_LINKS", fromEnv: (v) => v === "1", coerce: coerceBoolean },
+  sectionLines: { env: "CLAUDE_MICRODOC_SECTION_LINES", fromEnv: Number, coerce: coerceCount },
+  skipDirs: { env: "CLAUDE_MICRODOC_SKIP_DIRS", fromEnv: (v) => v, coerce: coerceDirNames },
+  debug: { env: "CLAUDE_MICRODOC_DEBUG", fromEnv: (v) => v === "1", coerce: coerceBoolean },
+  // The env form only maps extensions to built-in extractors: "qmd=yaml,xhtml=html"
+  extractors: {
+    env: "CLAUDE_MICRODOC_EXTRACTORS",
+    fromEnv: (v) => Object.fromEntries(splitGlobs(v).map((pair) => pair.split("=").map((part) => part.trim()))),
+    coerce: coerceExtractors,
+  },
+  // The env form takes alias=path pairs with the default glob: "handbook=~/src/handbook"
+  roots: {
+    env: "CLAUDE_MICRODOC_ROOTS",
+    fromEnv: (v) =>
+      splitGlobs(v).map((pair) => {
+        const [alias, ...rest] = pair.split("=");
+        return { alias: alias.trim(), path: rest.join("=").trim() };
+      }),
+    coerce: coerceRoots,
+  },
+};
+
+export function readConfigFile(projectDir) {
+  const candidates = [
+    { source: ".claude/microdoc.json", file: path.join(projectDir, ".claude", "microdoc.json"), key: null },
+    { source: "package.json#microdoc", file: path.join(projectDir, "package.json"), key: "microdoc" },
+  ];
+  for (const { source, file, key } of candidates) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf-8");
+    } catch {
+      continue;
+    }
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${source}: ${err.message}`);
+    }
+    if (key === null) return { source, raw: json };
+    if (json && json[key] !== undefined) return { source, raw: json[key] };
+  }
+  return null;
+}
+
+export function loadConfig(projectDir, env = process.env) {
+  const config = { ...DEFAULT_CONFIG };
+  const errors = [];
+
+  let file = null;
+  try {
+    file = readConfigFile(projectDir);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  if (file && (typeof file.raw !== "object" || file.raw === null || Array.isArray(file.raw))) {
+    errors.push(`${file.source}: must be a JSON object`);
+  } else if (file) {
+    for (const [key, value] of Object.entries(file.raw)) {
+      const spec = CONFIG_SCHEMA[key];
+      if (!spec) {
+        errors.push(`${file.source}: unknown key "${key}"`);
         continue;
       }
-      for (const abs of readdirRecursive(dir)) {
-        allFiles.push(path.relative(projectDir, abs));
+      try {
+        config[key] = spec.coerce(value);
+      } catch (err) {
+        errors.push(`${file.source}: "${key}" ${err.message}`);
       }
     }
   }
 
-  const unique = [...new Set(allFiles.filter((rel) => regexes.some((re) => re.test(rel))))].sort();
-  if (unique.length === 0) process.exit(0);
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const value = env[spec.env];
+    if (value === undefined || value === "") continue;
+    try {
+      config[key] = spec.coerce(spec.fromEnv(value));
+    } catch (err) {
+      errors.push(`${spec.env} ${err.message}`);
+    }
+  }
+
+  return { config, errors };
+}
 
-  const out = [];
-  out.push('<microdoc source="microdoc plugin by Rafael Kallis">');
-  out.push("<instructions>");
-  out.push("Markdown docs with YAML frontmatter descriptions are indexed below.");
-  out.push("Consult relevant docs before making architectural or implementation decisions.");
-  out.push("When a description overlaps with the current task, Read the full doc before proceeding.");
-  out.push("</instructions>");
-  out.push("<docs>");
-
-  for (const rel of unique) {
-    const filePath = path.join(projectDir, rel);
-    const content = fs.readFileSync(filePath, "utf-8");
-    const desc = extractDescription(content);
-
-    if (desc) {
-      out.push(`<doc path="${xmlEscapeAttr(rel)}">${xmlEscape(desc)}</doc>`);
-    } else {
-      out.push(`<doc path="${xmlEscapeAttr(rel)}"/>`);
+export function readHookInput() {
+  // Hook events deliver a JSON payload on stdin; manual runs from a terminal do not
+  if (process.stdin.isTTY) return {};
+  let raw;
+  try {
+    raw = fs.readFileSync(0, "utf-8");
+  } catch {
+    return {};
+  }
+  try {
+    return raw.trim() ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+export function docPatterns(config) {
+  // A glob made only of negations narrows the default rather than matching nothing
+  const hasInclude = config.glob.some((p) => !p.startsWith("!"));
+  return [
+    ...(hasInclude ? [] : [DEFAULT_GLOB]),
+    ...config.glob,
+    ...config.exclude.map((p) => "!" + p),
+  ];
+}
+
+function gitFailure(err) {
+  if (err.code === "ENOENT") return "git is not installed";
+  if (err.code === "ETIMEDOUT" || err.message === "time budget exhausted") return "the time budget ran out";
+  if (err.status === 128) return "the directory is not inside a git work tree";
+  return err.message.split("\n")[0];
+}
+
+export function listProjectFiles(projectDir, patterns, deadline = createDeadline(0), skipDirs = SKIP_DIRS, log = NO_LOG) {
+  return listFiles(projectDir, patterns, deadline, skipDirs, log).files;
+}
+
+// walked is null when git listed the whole project, else the directories the filesystem walk covered
+function listFiles(projectDir, patterns, deadline, skipDirs, log) {
+  try {
+    const files = filterIgnoredFiles(projectDir, listFilesGit(projectDir, deadline));
+    log(`discovery in ${projectDir}: git ls-files listed ${files.length} files`);
+    return { files, walked: null };
+  } catch (err) {
+    // Not a git repo or git not installed -- fall back to filesystem scan.
+    // A git run killed by the time budget leaves no time for one.
+    log(`discovery in ${projectDir}: filesystem walk, since git failed: ${gitFailure(err)}`);
+    if (deadline.expired()) return { files: [], walked: [] };
+  }
+
+  const includes = patterns.filter((p) => !p.startsWith("!"));
+  const prefixes = [...new Set(includes.map(extractStaticPrefix))];
+  const files = [];
+  for (const prefix of prefixes) {
+    const dir = path.join(projectDir, prefix);
+    try {
+      if (!fs.statSync(dir).isDirectory()) continue;
+    } catch {
+      continue;
+    }
+    for (const abs of readdirRecursive(dir, deadline, { root: projectDir, skipDirs })) {
+      files.push(path.relative(projectDir, abs).split(path.sep).join("/"));
     }
   }
+  log(() => `walked ${prefixes.map((prefix) => prefix || ".").join(", ")}, skipping ${[...skipDirs].join(", ")}: ${files.length} files`);
+  return { files, walked: prefixes };
+}
+
+// Why a file is missing from the project listing
+export function unlistedReason(projectDir, rel, patterns, skipDirs = SKIP_DIRS) {
+  const stat = fs.statSync(path.join(projectDir, rel), { throwIfNoEntry: false });
+  if (!stat) return "no such file";
+  if (!stat.isFile()) return "not a file";
+  const ignoreFile = findIgnoreFile(projectDir, rel);
+  if (ignoreFile) return `ignored by ${ignoreFile}`;
+  const skipped = rel.split("/").slice(0, -1).find((dir) => [...skipDirs].includes(dir));
+  if (skipped) return `inside ${skipped}/, which the filesystem walk skips (skipDirs)`;
+  const prefixes = patterns.filter((p) => !p.startsWith("!")).map(extractStaticPrefix);
+  if (!prefixes.some((prefix) => prefix === "" || rel.startsWith(prefix + "/"))) {
+    return `outside ${prefixes.join(", ")}, the only directories the filesystem walk enters`;
+  }
+  return "excluded by git (.git/info/exclude or core.excludesFile)";
+}
+
+export function discoverDocs(projectDir, patterns, files = listProjectFiles(projectDir, patterns), log = NO_LOG) {
+  for (const pattern of patterns) log(() => `glob ${pattern} compiles to ${globToRegex(pattern.replace(/^!/, ""))}`);
+  const explain = explainMatcher(patterns);
+  const docs = new Set();
+  for (const rel of files) {
+    const { matched, pattern } = explain(rel);
+    if (matched) docs.add(rel);
+    if (pattern) log(() => `${rel}: ${matched ? "matched" : "rejected"} by ${pattern}`, rel);
+    else if (rel === log.only) log(`${rel}: matches none of the glob patterns`, rel);
+  }
+  return [...docs].sort();
+}
+
+export function readWorkspacePatterns(projectDir) {
+  const patterns = [];
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(projectDir, "package.json"), "utf-8"));
+    const workspaces = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces?.packages;
+    if (Array.isArray(workspaces)) patterns.push(...workspaces);
+  } catch {
+    // No package.json, or not valid JSON
+  }
+  try {
+    patterns.push(...parseYamlList(fs.readFileSync(path.join(projectDir, "pnpm-workspace.yaml"), "utf-8"), "packages"));
+  } catch {
+    // No pnpm workspace
+  }
+  return patterns
+    .filter((p) => typeof p === "string")
+    .map((p) => p.replace(/^(!?)\.\//, "$1").replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+function prefixPattern(dir, pattern) {
+  return pattern.startsWith("!") ? `!${dir}/${pattern.slice(1)}` : `${dir}/${pattern}`;
+}
 
-  out.push("</docs>");
-  out.push("</microdoc>");
+export function findPackages(projectDir, files, workspaces, rootPatterns) {
+  const packages = [];
+  const errors = [];
+  if (workspaces.length === 0) return { packages, errors };
 
-  process.stdout.write(out.join("\n") + "\n");
+  const isWorkspace = globMatcher(workspaces);
+  const dirs = files
+    .filter((file) => path.posix.basename(file) === "package.json")
+    .map((file) => path.posix.dirname(file))
+    .filter((dir) => dir !== "." && isWorkspace(dir))
+    .sort();
+
+  for (const dir of dirs) {
+    let name = dir;
+    try {
+      name = JSON.parse(fs.readFileSync(path.join(projectDir, dir, "package.json"), "utf-8")).name || dir;
+    } catch {
+      // Unreadable package.json -- fall back to the directory name
+    }
+
+    // A package's own config overrides the project's globs for that package
+    let patterns = rootPatterns;
+    try {
+      const file = readConfigFile(path.join(projectDir, dir));
+      if (file && file.raw && (file.raw.glob !== undefined || file.raw.exclude !== undefined)) {
+        const own = { ...DEFAULT_CONFIG };
+        for (const key of ["glob", "exclude"]) {
+          if (file.raw[key] === undefined) continue;
+          try {
+            own[key] = CONFIG_SCHEMA[key].coerce(file.raw[key]);
+          } catch (err) {
+            errors.push(`${dir}/${file.source}: "${key}" ${err.message}`);
+          }
+        }
+        patterns = docPatterns(own);
+      }
+    } catch (err) {
+      errors.push(`${dir}/${err.message}`);
+    }
+
+    packages.push({ dir, name, patterns: patterns.map((p) => prefixPattern(dir, p)) });
+  }
+  return { packages, errors };
+}
+
+export function packageOf(packages, rel) {
+  let owner = null;
+  for (const pkg of packages) {
+    if (rel.startsWith(pkg.dir + "/") && (!owner || pkg.dir.length > owner.dir.length)) owner = pkg;
+  }
+  return owner ? owner.name : null;
+}
+
+export function collectDocPaths(projectDir, config, deadline = createDeadline(0), log = NO_LOG) {
+  const rootPatterns = docPatterns(config);
+  const workspaces = readWorkspacePatterns(projectDir);
+  const listPatterns = [...rootPatterns, ...workspaces.map((w) => `${w}/package.json`)];
+  const { files, walked } = listFiles(projectDir, listPatterns, deadline, config.skipDirs, log);
+  const { packages, errors } = findPackages(projectDir, files, workspaces, rootPatterns);
+  for (const pkg of packages) log(`package ${pkg.name} in ${pkg.dir}/`);
+  const patterns = [...rootPatterns, ...packages.flatMap((pkg) => pkg.patterns)];
+
+  if (log.only !== null && !files.includes(log.only)) {
+    log(`${log.only}: not listed, ${unlistedReason(projectDir, log.only, listPatterns, config.skipDirs)}`, log.only);
+    const { matched, pattern } = explainMatcher(patterns)(log.only);
+    const verdict = pattern ? `if listed, it would be ${matched ? "matched" : "rejected"} by ${pattern}` : "no glob pattern matches it either";
+    log(`${log.only}: ${verdict}`, log.only);
+  }
+  const entries = discoverDocs(projectDir, patterns, files, log).map((rel) => ({ path: rel, package: packageOf(packages, rel) }));
+  return { entries, errors, files, walked };
+}
+
+export function resolveRootDir(projectDir, dir) {
+  if (dir === "~" || dir.startsWith("~/")) return path.join(os.homedir(), dir.slice(1));
+  return path.resolve(projectDir, dir);
+}
+
+// Maps an index path back to a file: "@alias/..." paths live under that root, the rest in the project
+export function resolveDocFile(projectDir, roots, rel) {
+  const root = roots.find((r) => rel.startsWith(`@${r.alias}/`));
+  return root ? path.join(root.path, rel.slice(root.alias.length + 2)) : path.join(projectDir, rel);
+}
+
+// Docs from an extra root get "@alias/" paths. Their links stay inside the root, and their
+// covered code is not in the project's history.
+function aliasRootDoc(doc, alias) {
+  const prefix = `@${alias}/`;
+  const aliased = { ...doc, path: prefix + doc.path, covers: [] };
+  if (doc.links) aliased.links = doc.links.map((link) => prefix + link);
+  return aliased;
+}
+
+function ancestorDirs(files) {
+  const dirs = new Set();
+  for (const file of files) {
+    for (let i = file.indexOf("/"); i !== -1; i = file.indexOf("/", i + 1)) dirs.add(file.slice(0, i));
+  }
+  return dirs;
+}
+
+// Code paths guessed from a body only count when they name listed files or directories that
+// hold no docs; a doc mentioning `docs/` would otherwise fall behind every doc edit
+export function pruneGuessedCovers(docs, files, docPaths) {
+  if (!docs.some((doc) => doc.coversGuessed)) return docs;
+  const listed = new Set(files);
+  const dirs = ancestorDirs(files);
+  const isDoc = new Set(docPaths);
+  const docDirs = ancestorDirs(docPaths);
+  const keep = (cover) =>
+    cover.endsWith("/**")
+      ? dirs.has(cover.slice(0, -3)) && !docDirs.has(cover.slice(0, -3))
+      : listed.has(cover) && !isDoc.has(cover);
+  return docs.map((doc) => (doc.coversGuessed ? { ...doc, covers: doc.covers.filter(keep) } : doc));
+}
+
+// Why a doc has no description, in lint's words
+export function missingDescriptionReason(content, extractor = EXTRACTORS.yaml) {
+  const problem = lintDoc(content, { maxWords: 0, extractor }).find((p) => p.rule !== "unknown-condition");
+  return problem?.message ?? null;
+}
+
+function logDescriptions(log, projectDir, roots, docs, extractors) {
+  if (!log.enabled) return;
+  for (const doc of docs) {
+    if (doc.description) {
+      // Every doc with a description would drown a full debug trace; explain names its own
+      if (doc.path === log.only) log(`${doc.path}: description ${JSON.stringify(doc.description)}${doc.derived ? " (derived)" : ""}`);
+      continue;
+    }
+    let reason;
+    try {
+      const extractor = extractorFor(doc.path, extractors);
+      reason = missingDescriptionReason(extractor.read(resolveDocFile(projectDir, roots, doc.path)), extractor);
+    } catch (err) {
+      reason = err.message;
+    }
+    log(`${doc.path}: no description, ${reason}`, doc.path);
+  }
+}
+
+// truncated is set when the deadline cut discovery or parsing short; docs holds what finished.
+// roots lists the extra roots that were scanned, with absolute paths.
+export function collectDocs(projectDir, config, deadline = createDeadline(0), log = NO_LOG) {
+  const options = (dir) => ({
+    cacheFile: config.cache && privateStateDir() ? docCachePath(dir) : null,
+    deadline,
+    extractors: config.extractors,
+    derive: config.derive,
+    coversFromBody: config.bodyCovers && config.staleAfter > 0,
+    links: config.links,
+    sectionLines: config.sectionLines,
+  });
+  const collected = timed(log, "discovery", () => collectDocPaths(projectDir, config, deadline, log));
+  const packages = new Map(collected.entries.map((entry) => [entry.path, entry.package]));
+  const loaded = timed(log, "parsing", () => loadDocs(projectDir, [...packages.keys()], options(projectDir)));
+  const docs = pruneGuessedCovers(
+    loaded.docs.map((doc) => (packages.get(doc.path) ? { ...doc, package: packages.get(doc.path) } : doc)),
+    collected.files,
+    [...packages.keys()],
+  );
+  const errors = [...collected.errors, ...loaded.errors];
+
+  const roots = [];
+  for (const root of config.roots) {
+    if (deadline.expired()) break;
+    const dir = resolveRootDir(projectDir, root.path);
+    if (!fs.statSync(dir, { throwIfNoEntry: false })?.isDirectory()) {
+      errors.push(`root "${root.alias}": ${dir} is not a directory`);
+      continue;
+    }
+    const patterns = docPatterns(root);
+    const rels = timed(log, `discovery in root "${root.alias}"`, () =>
+      discoverDocs(dir, patterns, listProjectFiles(dir, patterns, deadline, config.skipDirs, log), log),
+    );
+    const fromRoot = timed(log, `parsing in root "${root.alias}"`, () => loadDocs(dir, rels, options(dir)));
+    docs.push(...fromRoot.docs.map((doc) => aliasRootDoc(doc, root.alias)));
+    errors.push(...fromRoot.errors.map((error) => `root "${root.alias}": ${error}`));
+    roots.push({ alias: root.alias, path: dir });
+  }
+  logDescriptions(log, projectDir, roots, docs, config.extractors);
+  const listing = { files: collected.files, walked: collected.walked };
+  return { docs, errors, truncated: deadline.tripped(), roots, listing };
+}
+
+// The style guide's upper bound for a description
+export const DERIVED_WORDS = 20;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+// Lines that are markup rather than prose: HTML, tables, rules, link definitions, lone images
+const NON_PROSE = /^ {0,3}(<|\||\[[^\]]+\]:|!\[[^\]]*\]\([^)]*\)\s*$|([-*_])([ \t]*\2){2,}[ \t]*$)/;
+
+// Lines after the frontmatter block, if there is one
+function bodyLines(content) {
+  const lines = splitLines(content);
+  if (!FRONTMATTER_DELIMITER.test(lines[0])) return lines;
+  const end = lines.findIndex((line, i) => i > 0 && FRONTMATTER_DELIMITER.test(line));
+  return end === -1 ? [] : lines.slice(end + 1);
+}
+
+// Body lines outside fenced code blocks
+function proseLines(content) {
+  const out = [];
+  let fence = null;
+  for (const line of bodyLines(content)) {
+    if (fence) {
+      if (line.trim().startsWith(fence)) fence = null;
+      continue;
+    }
+    const fenceMatch = FENCE.exec(line);
+    if (fenceMatch) fence = fenceMatch[1];
+    else out.push(line);
+  }
+  return out;
+}
+
+// Markdown inline syntax reduced to its visible text
+export function plainText(text) {
+  return text
+    .replace(/!?\[([^\]]*)\](\([^)]*\)|\[[^\]]*\])/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/`+/g, "")
+    .replace(/(\*\*|__|\*|~~)(\S(?:.*?\S)?)\1/g, "$2")
+    .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, "$1$2")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function trimWords(text, max) {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length <= max) return words.join(" ");
+  return words.slice(0, max).join(" ").replace(/[\s,;:.\u2013\u2014-]+$/, "") + "...";
+}
+
+// Fallback for legacy Markdown docs without a description: the first H1 as the topic, then
+// the first paragraph, or the section headings when the doc opens straight into them
+export function deriveDescription(content) {
+  const lines = bodyLines(content);
+  let title = null;
+  const headings = [];
+  const paragraph = [];
+  let fence = null;
+  let comment = false;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (fence) {
+      if (line.trim().startsWith(fence)) fence = null;
+      continue;
+    }
+    if (comment || line.trim().startsWith("<!--")) {
+      comment = !line.includes("-->");
+      continue;
+    }
+    const fenceMatch = FENCE.exec(line);
+    const atx = ATX_HEADING.exec(line);
+    const setext = paragraph.length === 0 && line.trim() && SETEXT_UNDERLINE.exec(lines[i + 1] ?? "");
+    const heading = atx
+      ? { level: atx[1].length, text: atx[2] || "" }
+      : setext && !NON_PROSE.test(line)
+        ? { level: setext[1][0] === "=" ? 1 : 2, text: line }
+        : null;
+    if (paragraph.length > 0 && (!line.trim() || heading || fenceMatch)) break;
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+    } else if (heading) {
+      if (setext) i++;
+      const text = plainText(heading.text);
+      if (!text) continue;
+      if (heading.level === 1 && !title && headings.length === 0) title = text;
+      else headings.push(text);
+    } else if (line.trim() && !NON_PROSE.test(line)) {
+      const item = /^\s*(>\s*)*([-*+]|\d+[.)])\s/.test(line);
+      if (item && paragraph.length > 0) paragraph[paragraph.length - 1] += ",";
+      paragraph.push(line.replace(/^\s*(>\s*)*([-*+]|\d+[.)])?\s*/, ""));
+    }
+  }
+  const body = paragraph.length > 0
+    ? plainText(paragraph.join(" "))
+    : headings.length > 0 ? `Sections: ${headings.join(", ")}.` : "";
+  const parts = [title, body].filter(Boolean);
+  if (parts.length === 0) return null;
+  const joined = parts.length === 2 && !/[.!?:]$/.test(title) ? parts.join(". ") : parts.join(" ");
+  return trimWords(joined, DERIVED_WORDS);
+}
+
+// Inline code spans in a doc body that look like repo paths: `src/billing/ledger.ts`, `lib/`
+export function codePaths(content) {
+  const found = new Set();
+  for (const line of proseLines(content)) {
+    for (const [, span] of line.matchAll(/`([^`\s]+)`/g)) {
+      if (span.includes("://") || !/^[\w.@/-]+(:\d+)?$/.test(span)) continue;
+      const rel = span.replace(/:\d+$/, "").replace(/^\.\//, "");
+      if (rel.includes("..") || rel.startsWith("/") || rel.startsWith("-")) continue;
+      // A bare name like `README.md` is too ambiguous to pin to one file
+      if (!rel.includes("/")) continue;
+      found.add(rel.endsWith("/") ? `${rel}**` : rel);
+    }
+  }
+  return [...found];
+}
+
+// Resolves a link target against the linking doc to a project path; null for URLs, anchors
+// and targets outside the project
+export function resolveLink(from, target) {
+  let ref = target.trim().replace(/^<(.*)>$/, "$1");
+  if (!ref || ref.startsWith("#") || ref.startsWith("//") || /^[a-z][a-z0-9+.-]*:/i.test(ref)) return null;
+  ref = ref.replace(/[?#].*$/, "");
+  try {
+    ref = decodeURIComponent(ref);
+  } catch {
+    // Keep malformed escapes as written
+  }
+  if (!ref) return null;
+  const resolved = ref.startsWith("/") ? path.posix.normalize(ref.slice(1)) : path.posix.join(path.posix.dirname(from), ref);
+  if (resolved === ".." || resolved.startsWith("../")) return null;
+  return resolved.replace(/\/$/, "") || null;
+}
+
+const INLINE_LINK = /(!?)\[(?:[^[\]\\]|\\.|\[[^\]]*\])*\]\(\s*(<[^>]*>|[^)\s]+)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+const LINK_DEFINITION = /^ {0,3}\[[^\]]+\]:\s*(<[^>]*>|\S+)/;
+
+// Project paths of the Markdown links (not images) in a doc body, in order of appearance
+export function markdownLinks(rel, content) {
+  const found = new Set();
+  for (const line of proseLines(content)) {
+    const text = line.replace(/`+[^`]*`+/g, "");
+    const definition = LINK_DEFINITION.exec(text);
+    const targets = definition ? [definition[1]] : [];
+    for (const [, image, target] of text.matchAll(INLINE_LINK)) if (!image) targets.push(target);
+    for (const target of targets) {
+      const resolved = resolveLink(rel, target);
+      if (resolved && resolved !== rel) found.add(resolved);
+    }
+  }
+  return [...found];
+}
+
+// GitHub's heading anchors: lowercase, punctuation dropped, spaces as hyphens
+export function slugify(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N} _-]/gu, "")
+    .replace(/ /g, "-");
+}
+
+// An HTML comment right under a heading describes the section: <!-- description: ... -->
+function sectionComment(lines, from) {
+  let i = from;
+  while (i < lines.length && !lines[i].trim()) i++;
+  if (!lines[i]?.trim().startsWith("<!--")) return null;
+  const comment = [];
+  for (; i < lines.length; i++) {
+    comment.push(lines[i]);
+    if (lines[i].includes("-->")) break;
+  }
+  const match = /^<!--\s*description:\s*([\s\S]*?)\s*-->/i.exec(comment.join("\n").trim());
+  return match?.[1] ? match[1].replace(/\s+/g, " ") : null;
+}
+
+// The Markdown headings of a doc with 1-based, inclusive line ranges in the whole file, as
+// Read's offset/limit count them. A section runs to the next heading of its level or higher,
+// so it holds its subsections; trailing blank lines are left out.
+export function markdownSections(content) {
+  const lines = splitLines(content);
+  const offset = lines.length - bodyLines(content).length;
+  const sections = [];
+  const slugs = new Map();
+  let fence = null;
+  let comment = false;
+  for (let i = offset; i < lines.length; i++) {
+    const line = lines[i];
+    if (fence) {
+      if (line.trim().startsWith(fence)) fence = null;
+      continue;
+    }
+    if (comment || line.trim().startsWith("<!--")) {
+      comment = !line.includes("-->");
+      continue;
+    }
+    const fenceMatch = FENCE.exec(line);
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+    const atx = ATX_HEADING.exec(line);
+    // Only one-line paragraphs count as setext headings; longer ones are rare in practice
+    const setext =
+      !atx && line.trim() && !lines[i - 1]?.trim() && !NON_PROSE.test(line) && SETEXT_UNDERLINE.exec(lines[i + 1] ?? "");
+    if (!atx && !setext) continue;
+    const heading = plainText(atx ? atx[2] || "" : line);
+    const start = i + 1;
+    if (setext) i++;
+    if (!heading) continue;
+    const slug = slugify(heading);
+    const seen = slugs.get(slug) ?? 0;
+    slugs.set(slug, seen + 1);
+    const level = atx ? atx[1].length : setext[1][0] === "=" ? 1 : 2;
+    const section = { heading, level, anchor: seen ? `${slug}-${seen}` : slug, start };
+    const description = sectionComment(lines, i + 1);
+    if (description) section.description = description;
+    sections.push(section);
+  }
+  for (let s = 0; s < sections.length; s++) {
+    const next = sections.slice(s + 1).find((other) => other.level <= sections[s].level);
+    let end = next ? next.start - 1 : lines.length;
+    while (end > sections[s].start && !lines[end - 1].trim()) end--;
+    sections[s].end = end;
+  }
+  return sections;
+}
+
+// How deep the index outlines a doc. A lone H1 is the doc's title rather than a section.
+export const SECTION_DEPTH = 2;
+
+export function outlineSections(sections) {
+  const titled = sections[0]?.level === 1 && sections.filter((s) => s.level === 1).length === 1;
+  return sections
+    .filter((s, i) => s.level <= SECTION_DEPTH && !(titled && i === 0))
+    .map(({ heading, start, end, description }) => (description ? { heading, start, end, description } : { heading, start, end }));
+}
+
+// Finds a section by its anchor, with or without "#", or by its heading text
+export function findSection(sections, anchor) {
+  const wanted = anchor.trim().replace(/^#/, "");
+  return sections.find((s) => s.anchor === wanted) || sections.find((s) => s.anchor === slugify(plainText(wanted))) || null;
+}
+
+export function loadDoc(
+  projectDir,
+  rel,
+  { extractors = {}, derive = false, coversFromBody = false, links = false, sectionLines = 0 } = {},
+) {
+  const extractor = extractorFor(rel, extractors);
+  const file = path.join(projectDir, rel);
+  const content = extractor.read(file);
+  const scalar = (key) => extractor.scalar(content, key);
+  const list = (key) => extractor.list(content, key);
+  const supersededBy = scalar("superseded_by");
+  const status = scalar("status")?.toLowerCase() || (supersededBy ? "superseded" : null);
+  const doc = {
+    path: rel,
+    description: scalar("description"),
+    title: scalar("title"),
+    tags: list("tags"),
+    status,
+    supersededBy,
+    paths: list("paths"),
+    covers: list("covers"),
+    priority: Number(scalar("priority")) || 0,
+  };
+  // The code a doc governs is also the code it can fall behind
+  if (doc.covers.length === 0) doc.covers = doc.paths;
+  // Only Markdown bodies are read past the frontmatter; the other formats have their own headers
+  const wantDescription = derive && !doc.description;
+  const wantCovers = coversFromBody && doc.covers.length === 0;
+  if (extractor === EXTRACTORS.yaml && (wantDescription || wantCovers || links)) {
+    const body = readHead(file, { maxBytes: PREAMBLE_BYTES });
+    const description = wantDescription && deriveDescription(body);
+    if (description) Object.assign(doc, { description, derived: true });
+    if (wantCovers) Object.assign(doc, { covers: codePaths(body), coversGuessed: true });
+    if (links) doc.links = markdownLinks(rel, body);
+  }
+  if (extractor === EXTRACTORS.yaml) {
+    const { unknown, ...when } = extractConditions(content) || {};
+    if (Object.keys(when).length > 0) doc.when = when;
+    // Kept so the hook can warn: an unreadable condition would otherwise silently never apply
+    if (unknown) doc.unknownConditions = unknown;
+  }
+  // Long docs, and docs that ask with "sections: true", list their sections in the index.
+  // A file needs at least as many bytes as lines, so short files are never read in full.
+  const outline = scalar("sections")?.toLowerCase();
+  const long = sectionLines > 0 && fs.statSync(file).size > sectionLines;
+  if (extractor === EXTRACTORS.yaml && outline !== "false" && (outline === "true" || long)) {
+    const content = readHead(file, { maxBytes: MAX_DOC_BYTES });
+    const lineCount = splitLines(content.replace(/\r?\n$/, "")).length;
+    const sections = outline === "true" || lineCount > sectionLines ? outlineSections(markdownSections(content)) : [];
+    if (sections.length > 0) doc.sections = sections;
+  }
+  return doc;
+}
+
+// Bump whenever loadDoc's output changes shape, so stale caches are discarded
+export const CACHE_VERSION = 7;
+
+// One directory per user: cached descriptions go straight into the model's context, so
+// another account must not be able to plant them
+export function stateDir() {
+  const uid = process.getuid?.();
+  return path.join(os.tmpdir(), uid === undefined ? "microdoc" : `microdoc-${uid}`);
+}
+
+// Creates dir with mode 0700 if missing. null when it is a link, owned by another user, or
+// writable by group or others; caches and snapshots are then skipped.
+export function privateStateDir(dir = stateDir()) {
+  try {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    const stat = fs.lstatSync(dir);
+    const uid = process.getuid?.();
+    if (!stat.isDirectory()) return null;
+    if (uid !== undefined && (stat.uid !== uid || (stat.mode & 0o022) !== 0)) return null;
+    return dir;
+  } catch {
+    return null;
+  }
+}
+
+export function docCachePath(projectDir) {
+  const key = createHash("sha1").update(path.resolve(projectDir)).digest("hex").slice(0, 16);
+  return path.join(stateDir(), `${key}.json`);
+}
+
+// fingerprint covers settings that change how docs parse (custom extractors, derive, covers, links)
+export function readDocCache(file, fingerprint = "") {
+  try {
+    const cache = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (
+      cache.version === CACHE_VERSION &&
+      (cache.fingerprint ?? "") === fingerprint &&
+      cache.docs &&
+      typeof cache.docs === "object"
+    ) {
+      return cache;
+    }
+  } catch {
+    // Missing or corrupt caches are rebuilt from scratch
+  }
+  return { version: CACHE_VERSION, fingerprint, docs: {} };
+}
+
+function writeJsonFile(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write-then-rename so a concurrent session never reads a half-written file
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  } catch {
+    // Caches and snapshots are optimisations; an unwritable temp dir must not fail the session
+  }
+}
+
+export function writeDocCache(file, cache) {
+  writeJsonFile(file, cache);
+}
+
+// Parses docs in order until the deadline. With a cache file, docs whose mtime and size are
+// unchanged since the last session are reused instead of re-read.
+export function loadDocs(
+  projectDir,
+  rels,
+  {
+    cacheFile = null,
+    deadline = createDeadline(0),
+    extractors = {},
+    derive = false,
+    coversFromBody = false,
+    links = false,
+    sectionLines = 0,
+  } = {},
+) {
+  const options = { extractors, derive, coversFromBody, links, sectionLines };
+  const custom = derive || coversFromBody || links || sectionLines > 0 || Object.keys(extractors).length > 0;
+  const fingerprint = custom ? JSON.stringify(options) : "";
+  const cache = cacheFile ? readDocCache(cacheFile, fingerprint) : { docs: {} };
+  const next = { version: CACHE_VERSION, fingerprint, docs: {} };
+  let changed = Object.keys(cache.docs).length !== rels.length;
+  const docs = [];
+  const errors = [];
+  for (const [i, rel] of rels.entries()) {
+    if (deadline.expired()) {
+      // Keep what earlier sessions cached for the docs this one never reached
+      for (const rest of rels.slice(i)) if (cache.docs[rest]) next.docs[rest] = cache.docs[rest];
+      break;
+    }
+    try {
+      const stat = fs.statSync(path.join(projectDir, rel));
+      const hit = cache.docs[rel];
+      let doc;
+      if (hit && hit.mtimeMs === stat.mtimeMs && hit.size === stat.size) {
+        next.docs[rel] = hit;
+        doc = hit.doc;
+      } else {
+        changed = true;
+        doc = loadDoc(projectDir, rel, options);
+        next.docs[rel] = { mtimeMs: stat.mtimeMs, size: stat.size, doc };
+      }
+      docs.push(doc);
+      for (const message of conditionMessages(doc.unknownConditions || [])) errors.push(`${rel}: ${message}, ignored`);
+    } catch (err) {
+      errors.push(`skipped ${rel}: ${err.code === "ENOENT" ? "file disappeared" : err.message}`);
+    }
+  }
+  if (cacheFile && changed) writeDocCache(cacheFile, next);
+  return { docs, errors };
+}
+
+// How far back staleness looks. Docs last committed before this window count every
+// covered change inside it.
+export const HISTORY_DEPTH = 500;
+
+// Files touched by each recent commit, newest first, relative to projectDir; null outside git
+export function readHistory(projectDir, deadline = createDeadline(0)) {
+  try {
+    const log = git(
+      projectDir,
+      ["log", `--max-count=${HISTORY_DEPTH}`, "--format=%x00", "--name-only", "--relative", "--no-renames"],
+      deadline,
+    );
+    return log.split("\0").slice(1).map((entry) => entry.split("\n").filter(Boolean));
+  } catch {
+    return null;
+  }
+}
+
+// Counts commits that touched a doc's covered paths after the doc itself was last committed
+export function markStale(docs, history, staleAfter) {
+  if (!history || staleAfter === 0) return docs;
+  return docs.map((doc) => {
+    if (!doc.covers || doc.covers.length === 0) return doc;
+    let since = history.findIndex((files) => files.includes(doc.path));
+    if (since === -1) {
+      // Not in a full window: older than it. Otherwise never committed, so nothing to compare
+      if (history.length < HISTORY_DEPTH) return doc;
+      since = history.length;
+    }
+    const covered = globMatcher(doc.covers);
+    const behind = history.slice(0, since).filter((files) => files.some(covered)).length;
+    return behind >= staleAfter ? { ...doc, stale: true, behind } : doc;
+  });
+}
+
+function applyStaleness(projectDir, docs, config, deadline) {
+  if (config.staleAfter === 0 || !docs.some((doc) => doc.covers && doc.covers.length > 0)) return docs;
+  return markStale(docs, readHistory(projectDir, deadline), config.staleAfter);
+}
+
+// Links between indexed docs in both directions, so a doc names the follow-ups that cite it
+export function relateDocs(docs) {
+  const indexed = new Set(docs.map((doc) => doc.path));
+  const related = new Map(docs.map((doc) => [doc.path, new Set()]));
+  for (const doc of docs) {
+    for (const target of doc.links || []) {
+      if (!indexed.has(target) || target === doc.path) continue;
+      related.get(doc.path).add(target);
+      related.get(target).add(doc.path);
+    }
+  }
+  return docs.map((doc) => {
+    const paths = [...related.get(doc.path)].sort();
+    return paths.length > 0 ? { ...doc, related: paths } : doc;
+  });
+}
+
+// Links whose target exists neither as a file nor as a directory
+export function findBrokenLinks(projectDir, docs, roots = []) {
+  const broken = [];
+  for (const doc of docs) {
+    for (const target of doc.links || []) {
+      if (!fs.existsSync(resolveDocFile(projectDir, roots, target))) broken.push({ path: doc.path, target });
+    }
+  }
+  return broken;
+}
+
+export const INACTIVE_STATUSES = new Set(["deprecated", "superseded"]);
+
+export function resolveDocRef(docs, from, ref) {
+  for (const candidate of [ref, path.posix.join(path.posix.dirname(from), ref)]) {
+    const doc = docs.find((d) => d.path === candidate);
+    if (doc) return doc;
+  }
+  // Bare record numbers or names ("012") refer to a doc by filename prefix
+  const escaped = ref.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const prefix = new RegExp(`^${escaped}([-_.]|$)`);
+  return docs.find((d) => prefix.test(path.posix.basename(d.path))) || null;
+}
+
+export function applyLifecycle(docs, mode) {
+  const resolved = docs.map((doc) => {
+    if (!doc.supersededBy) return doc;
+    const target = resolveDocRef(docs, doc.path, doc.supersededBy);
+    return target ? { ...doc, supersededBy: target.path } : doc;
+  });
+  if (mode === "show") return resolved;
+
+  const byPath = new Map(resolved.map((doc) => [doc.path, doc]));
+  const kept = new Map(
+    resolved.filter((doc) => !INACTIVE_STATUSES.has(doc.status)).map((doc) => [doc.path, { ...doc }]),
+  );
+  if (mode === "fold") {
+    for (const doc of resolved) {
+      if (!INACTIVE_STATUSES.has(doc.status)) continue;
+      // Follow supersession chains to the first doc still in the index
+      const seen = new Set([doc.path]);
+      let next = byPath.get(doc.supersededBy);
+      while (next && !kept.has(next.path) && !seen.has(next.path)) {
+        seen.add(next.path);
+        next = byPath.get(next.supersededBy);
+      }
+      const target = next && kept.get(next.path);
+      if (target) target.supersedes = [...(target.supersedes || []), doc.path];
+    }
+  }
+  return [...kept.values()];
+}
+
+// A list of only negations matches everything else, as in docPatterns
+export function negatableMatcher(patterns) {
+  return globMatcher(patterns.some((p) => !p.startsWith("!")) ? patterns : ["**", ...patterns]);
+}
+
+// The branch HEAD names, read from the git dir so that prompts and tool calls need not spawn
+// git. undefined when no .git is found or HEAD holds something else.
+function headBranch(projectDir) {
+  for (let dir = path.resolve(projectDir); ; dir = path.dirname(dir)) {
+    const dotGit = path.join(dir, ".git");
+    const stat = fs.statSync(dotGit, { throwIfNoEntry: false });
+    if (stat) {
+      // Worktrees and submodules have a .git file naming the real git dir
+      const gitDir = stat.isDirectory()
+        ? dotGit
+        : path.resolve(dir, fs.readFileSync(dotGit, "utf-8").replace(/^gitdir:\s*/, "").trim());
+      const head = fs.readFileSync(path.join(gitDir, "HEAD"), "utf-8").trim();
+      const ref = /^ref: refs\/heads\/(.+)$/.exec(head);
+      if (ref) return ref[1];
+      return /^[0-9a-f]{40}([0-9a-f]{24})?$/.test(head) ? null : undefined;
+    }
+    if (path.dirname(dir) === dir) return undefined;
+  }
+}
+
+// null on a detached HEAD and outside git
+export function currentBranch(projectDir, deadline = createDeadline(0)) {
+  try {
+    const branch = headBranch(projectDir);
+    if (branch !== undefined) return branch;
+  } catch {
+    // Unreadable git dir: ask git
+  }
+  try {
+    return git(projectDir, ["symbolic-ref", "--short", "-q", "HEAD"], deadline).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+const hasGlob = (pattern) => /[*?[{]/.test(pattern);
+
+// Each kind of condition holds when any of its values does, and a doc needs all of its kinds:
+// a branch glob matching the current branch, an env var that is set (NAME) or has a value
+// (NAME=value), a project file or directory that exists
+export function conditionsMet(when, { branch = null, env = {}, exists = () => false } = {}) {
+  if (when.branch && (branch === null || !negatableMatcher(when.branch)(branch))) return false;
+  const envMet = (spec) => {
+    const [name, ...value] = spec.split("=");
+    return value.length > 0 ? env[name] === value.join("=") : Boolean(env[name]);
+  };
+  if (when.env && !when.env.some(envMet)) return false;
+  if (when.files && !when.files.some(exists)) return false;
+  return true;
+}
+
+// Drops docs whose when: conditions fail. The branch and the file listing are only looked
+// up when some doc asks about them; listing is discovery's { files, walked }, reused when it
+// covers the globs.
+export function applyConditions(
+  projectDir,
+  docs,
+  { env = process.env, deadline = createDeadline(0), skipDirs = SKIP_DIRS, log = NO_LOG, listing = null } = {},
+) {
+  const conditional = docs.filter((doc) => doc.when);
+  if (conditional.length === 0) return docs;
+  const branch = conditional.some((doc) => doc.when.branch) ? currentBranch(projectDir, deadline) : null;
+  if (conditional.some((doc) => doc.when.branch)) log(`current branch: ${branch ?? "none"}`);
+  const globs = [...new Set(conditional.flatMap((doc) => doc.when.files || []).filter(hasGlob))];
+  const covered = (glob) => {
+    const prefix = extractStaticPrefix(glob);
+    return listing.walked.some((dir) => dir === "" || prefix === dir || prefix.startsWith(`${dir}/`));
+  };
+  let files = [];
+  if (globs.length > 0 && listing && (listing.walked === null || globs.every(covered))) files = listing.files;
+  else if (globs.length > 0) files = listProjectFiles(projectDir, globs, deadline, skipDirs, log);
+  const exists = (pattern) =>
+    hasGlob(pattern) ? files.some(globMatcher([pattern])) : fs.existsSync(path.join(projectDir, pattern));
+  const context = { branch, env, exists };
+  return docs.filter((doc) => {
+    if (!doc.when || conditionsMet(doc.when, context)) return true;
+    log(() => {
+      const failed = CONDITION_KEYS.filter((key) => doc.when[key] && !conditionsMet({ [key]: doc.when[key] }, context));
+      return `${doc.path}: left out, when ${failed.map((key) => `${key}: ${doc.when[key].join(", ")}`).join("; ")} not met`;
+    }, doc.path);
+    return false;
+  });
+}
+
+// The docs every handler works from: when conditions and the inactive setting applied,
+// links between the survivors related
+export function activeDocs(projectDir, docs, config, { deadline = createDeadline(0), log = NO_LOG, listing = null } = {}) {
+  const met = timed(log, "conditions", () =>
+    applyConditions(projectDir, docs, { deadline, skipDirs: config.skipDirs, log, listing }),
+  );
+  const active = applyLifecycle(met, config.inactive);
+  if (log.enabled) {
+    const kept = new Set(active.map((doc) => doc.path));
+    for (const doc of met) {
+      if (!kept.has(doc.path)) log(`${doc.path}: hidden, status ${doc.status} with inactive "${config.inactive}"`, doc.path);
+    }
+  }
+  return relateDocs(active);
+}
+
+const GROUP_INDEX = /^(index|readme)\.[^./]+$/i;
+
+export function buildGroups(docs) {
+  const dirs = docs.map((doc) => {
+    const dir = path.posix.dirname(doc.path);
+    return dir === "." ? [] : dir.split("/");
+  });
+  // Docs directly in the deepest directory shared by all docs stay ungrouped
+  const shared = (depth) => dirs.every((dir) => dir.slice(0, depth).join("/") === dirs[0].slice(0, depth).join("/"));
+  let depth = dirs.length > 0 ? Math.min(...dirs.map((dir) => dir.length)) : 0;
+  while (depth > 0 && !shared(depth)) depth--;
+
+  const makeNode = (segments) => ({ path: segments.join("/") || ".", index: null, docs: [], groups: new Map() });
+  const root = makeNode(dirs.length > 0 ? dirs[0].slice(0, depth) : []);
+  docs.forEach((doc, i) => {
+    let node = root;
+    for (let d = depth; d < dirs[i].length; d++) {
+      const name = dirs[i][d];
+      if (!node.groups.has(name)) node.groups.set(name, makeNode(dirs[i].slice(0, d + 1)));
+      node = node.groups.get(name);
+    }
+    // A group's index.md/README.md describes the group; the root keeps its own as a doc
+    if (node !== root && !node.index && GROUP_INDEX.test(path.posix.basename(doc.path))) {
+      node.index = doc;
+    } else {
+      node.docs.push(doc);
+    }
+  });
+  return root;
+}
+
+export function countGroupDocs(node) {
+  let count = node.docs.length + (node.index ? 1 : 0);
+  for (const child of node.groups.values()) count += countGroupDocs(child);
+  return count;
+}
+
+export const INDEX_INSTRUCTIONS = [
+  "Markdown docs with YAML frontmatter descriptions are indexed below.",
+  "Consult relevant docs before making architectural or implementation decisions.",
+  "When a description overlaps with the current task, Read the full doc before proceeding.",
+];
+
+export const INSTRUCTION_PLACEHOLDERS = ["default", "count", "glob"];
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// One instruction per non-blank line. A missing file at the default location is not an error.
+export function readInstructionsTemplate(projectDir, file) {
+  let text;
+  try {
+    text = fs.readFileSync(path.resolve(projectDir, file), "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT" && file === DEFAULT_CONFIG.instructions) return { lines: null, errors: [] };
+    return { lines: null, errors: [`${file}: ${err.code === "ENOENT" ? "not found" : err.message}`] };
+  }
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const errors = [];
+  for (const [, name] of text.matchAll(PLACEHOLDER)) {
+    if (!INSTRUCTION_PLACEHOLDERS.includes(name)) errors.push(`${file}: unknown placeholder {{${name}}}`);
+  }
+  return { lines, errors };
+}
+
+export function expandInstructions(lines, { count, glob }) {
+  const values = { default: INDEX_INSTRUCTIONS.join(" "), count: String(count), glob };
+  const out = [];
+  for (const line of lines) {
+    // {{default}} on a line of its own keeps the built-in sentences as separate lines
+    if (/^\{\{\s*default\s*\}\}$/.test(line)) {
+      out.push(...INDEX_INSTRUCTIONS);
+      continue;
+    }
+    out.push(line.replace(PLACEHOLDER, (match, name) => values[name] ?? match));
+  }
+  return out;
+}
+
+function groupModel(node, groupLimit) {
+  const count = countGroupDocs(node);
+  const collapsed = groupLimit > 0 && count > groupLimit;
+  return {
+    path: node.path,
+    index: node.index,
+    count,
+    collapsed,
+    docs: collapsed ? [] : node.docs,
+    groups: collapsed ? [] : childGroups(node, groupLimit),
+  };
+}
+
+function childGroups(node, groupLimit) {
+  return [...node.groups.keys()].sort().map((name) => groupModel(node.groups.get(name), groupLimit));
+}
+
+function anyCollapsed(groups) {
+  return groups.some((group) => group.collapsed || anyCollapsed(group.groups));
+}
+
+// Format-neutral index handed to a renderer. The flat layout is a root with docs and no groups.
+export function buildIndexModel(
+  docs,
+  {
+    omitted = 0,
+    glob = "",
+    layout = "flat",
+    groupLimit = 0,
+    truncated = false,
+    template = null,
+    compacted = false,
+    roots = [],
+  } = {},
+) {
+  let root = { docs, groups: [] };
+  if (layout === "grouped") {
+    const tree = buildGroups(docs);
+    root = { docs: tree.docs, groups: childGroups(tree, groupLimit) };
+  }
+  const instructions = template
+    ? expandInstructions(template, { count: docs.length + omitted, glob })
+    : [...INDEX_INSTRUCTIONS];
+  if (compacted) {
+    instructions.push(
+      "The conversation was compacted, so descriptions are cut to their first sentence and sections are left out; Read a doc for the rest.",
+    );
+  }
+  if (docs.some((doc) => doc.stale)) {
+    instructions.push("Docs marked stale cover code that changed in later commits; check them against the code before relying on them.");
+  }
+  if (docs.some((doc) => doc.derived)) {
+    instructions.push("Descriptions marked derived were generated from the doc's headings and first paragraph, not written by its authors; treat them as hints.");
+  }
+  if (docs.some((doc) => doc.sections)) {
+    instructions.push("Long docs list their sections with line ranges; Read just the section you need using offset and limit.");
+  }
+  if (truncated) {
+    instructions.push("Indexing ran out of time, so this list is incomplete; Glob the doc directories before assuming a doc does not exist.");
+  }
+  return {
+    instructions,
+    docs: root.docs,
+    groups: root.groups,
+    collapsed: anyCollapsed(root.groups),
+    omitted: omitted > 0 ? { count: omitted, glob } : null,
+    truncated,
+    roots,
+  };
+}
+
+export function renderIndex(docs, { format = "xml", ...options } = {}) {
+  return RENDERERS[format].index(buildIndexModel(docs, options));
+}
+
+export function estimateTokens(text) {
+  // Rough average for English prose and paths; no tokenizer available in stdlib
+  return Math.ceil(text.length / 4);
+}
+
+export function firstSentence(text) {
+  const end = text.search(/\.(\s|$)/);
+  return end === -1 ? text : text.slice(0, end + 1);
+}
+
+export function rankByPriority(docs) {
+  const depth = (doc) => doc.path.split("/").length;
+  return [...docs].sort((a, b) =>
+    (b.priority || 0) - (a.priority || 0) || depth(a) - depth(b) || a.path.localeCompare(b.path));
+}
+
+export function fitIndex(docs, maxTokens, options = {}) {
+  const kept = docs.map((doc) => ({ ...doc }));
+  const renderer = RENDERERS[options.format || "xml"];
+  const lineTokens = (doc) => estimateTokens(renderer.doc(doc) + "\n");
+  const frame = estimateTokens(renderIndex([], { ...options, omitted: docs.length }));
+  let total = frame + kept.reduce((sum, doc) => sum + lineTokens(doc), 0);
+
+  const full = renderIndex(kept, options);
+  if (estimateTokens(full) <= maxTokens) return full;
+
+  // Lowest priority, deepest docs give way first: shorten them all, then drop
+  const victims = rankByPriority(kept).reverse();
+  for (const doc of victims) {
+    if (total <= maxTokens) break;
+    if (!doc.description && !doc.sections) continue;
+    const before = lineTokens(doc);
+    if (doc.description) doc.description = firstSentence(doc.description);
+    delete doc.sections;
+    total += lineTokens(doc) - before;
+  }
+  const dropped = new Set();
+  for (const doc of victims) {
+    if (total <= maxTokens) break;
+    dropped.add(doc);
+    total -= lineTokens(doc);
+  }
+
+  // Per-doc estimates ignore group wrappers; keep dropping until the real output fits
+  const render = () => renderIndex(kept.filter((doc) => !dropped.has(doc)), { ...options, omitted: dropped.size });
+  let out = render();
+  for (const doc of victims) {
+    if (estimateTokens(out) <= maxTokens) break;
+    if (dropped.has(doc)) continue;
+    dropped.add(doc);
+    out = render();
+  }
+  return out;
+}
+
+export function toProjectPath(projectDir, filePath) {
+  const rel = path.relative(projectDir, path.resolve(projectDir, filePath));
+  if (rel === "" || rel.startsWith("..") || path.isAbsolute(rel)) return null;
+  return rel.split(path.sep).join("/");
+}
+
+export function matchScopedDocs(docs, rel) {
+  return docs.filter((doc) => doc.path !== rel && globMatcher(doc.paths)(rel));
+}
+
+export function renderScoped(rel, docs, format = "xml") {
+  return RENDERERS[format].scoped({
+    file: rel,
+    instructions: ["These docs are scoped to the file just touched. Read them before changing it further."],
+    docs,
+  });
+}
+
+export const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "does", "for", "from",
+  "how", "i", "if", "in", "into", "is", "it", "its", "me", "my", "of", "on", "or", "our",
+  "please", "should", "so", "that", "the", "this", "to", "we", "what", "when", "where",
+  "which", "why", "with", "you",
+]);
+
+export function stem(token) {
+  for (const suffix of ["ing", "ed", "es", "s"]) {
+    if (token.endsWith(suffix) && token.length - suffix.length >= 3) {
+      return token.slice(0, -suffix.length);
+    }
+  }
+  return token;
+}
+
+// Numbers are kept at any length and without leading zeros, so "ADR 7" matches 007-*.md
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => (t.length > 1 || /\d/.test(t)) && !STOPWORDS.has(t))
+    .map((t) => (/^\d+$/.test(t) ? t.replace(/^0+(?=\d)/, "") : stem(t)));
+}
+
+// Paths carry topic words too (e.g. docs/billing-ledger.md); the extension does not
+const describedText = (doc) => `${doc.path.replace(/\.[^./]+$/, "")} ${doc.description || ""}`;
+
+export function rankDocs(docs, query, { k1 = 1.2, b = 0.75, text = describedText } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || docs.length === 0) return [];
+
+  const corpus = docs.map((doc) => tokenize(text(doc)));
+  const avgLength = corpus.reduce((sum, terms) => sum + terms.length, 0) / corpus.length || 1;
+
+  const docFreq = new Map();
+  for (const terms of corpus) {
+    for (const term of new Set(terms)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+  }
+
+  const ranked = [];
+  for (let i = 0; i < docs.length; i++) {
+    const terms = corpus[i];
+    let score = 0;
+    for (const q of queryTerms) {
+      const n = docFreq.get(q);
+      // A term every doc shares, such as their common directory, tells them apart no better than none
+      if (!n || (n === docs.length && docs.length > 1)) continue;
+      const tf = terms.filter((t) => t === q).length;
+      if (tf === 0) continue;
+      const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+      score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * terms.length / avgLength));
+    }
+    if (score > 0) ranked.push({ doc: docs[i], score });
+  }
+
+  return ranked.sort((x, y) => y.score - x.score || x.doc.path.localeCompare(y.doc.path));
+}
+
+export const RELEVANT_LIMIT = 3;
+// Below this a match rests only on words most docs share
+export const RELEVANT_MIN_SCORE = 0.3;
+
+// The docs worth naming for a prompt, best first
+export function relevantDocs(docs, prompt) {
+  return rankDocs(docs, prompt)
+    .filter((r) => r.score >= RELEVANT_MIN_SCORE)
+    .slice(0, RELEVANT_LIMIT)
+    .map((r) => r.doc);
+}
+
+export function renderRelevant(docs, format = "xml") {
+  return RENDERERS[format].relevant({
+    instructions: ["These docs match the current prompt. Read them before proceeding if they apply."],
+    docs,
+  });
+}
+
+// After a compaction the earlier index is gone from context; a leaner copy is enough to recover
+export function compactDocs(docs) {
+  return docs.map(({ sections, ...doc }) => (doc.description ? { ...doc, description: firstSentence(doc.description) } : doc));
+}
+
+export const SNAPSHOT_VERSION = 1;
+// Sessions untouched this long are unlikely to be resumed; their files are deleted
+export const SNAPSHOT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function sessionFile(projectDir, sessionId, suffix) {
+  const key = createHash("sha1").update(`${path.resolve(projectDir)}\0${sessionId}`).digest("hex").slice(0, 16);
+  return path.join(stateDir(), "sessions", `${key}${suffix}`);
+}
+
+export function sessionSnapshotPath(projectDir, sessionId) {
+  return sessionFile(projectDir, sessionId, ".json");
+}
+
+export function scopedRecordPath(projectDir, sessionId) {
+  return sessionFile(projectDir, sessionId, ".scoped.json");
+}
+
+// Paths of the docs PostToolUse already injected into a session
+export function readScopedRecord(file) {
+  try {
+    const record = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (record.version === SNAPSHOT_VERSION && Array.isArray(record.docs)) return record.docs;
+  } catch {
+    // Nothing surfaced yet in this session
+  }
+  return [];
+}
+
+export function writeScopedRecord(file, docPaths) {
+  writeJsonFile(file, { version: SNAPSHOT_VERSION, docs: docPaths });
+}
+
+// Descriptions by doc path as last injected into a session, or null if there is no snapshot
+export function readSessionSnapshot(file) {
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(file, "utf-8"));
+    if (snapshot.version === SNAPSHOT_VERSION && snapshot.docs && typeof snapshot.docs === "object") {
+      return snapshot.docs;
+    }
+  } catch {
+    // No usable snapshot: the caller injects the full index
+  }
+  return null;
+}
+
+export function writeSessionSnapshot(file, docs) {
+  writeJsonFile(file, {
+    version: SNAPSHOT_VERSION,
+    docs: Object.fromEntries(docs.map((doc) => [doc.path, doc.description ?? null])),
+  });
+  pruneSessionFiles(path.dirname(file));
+}
+
+// Deletes snapshots and scoped records last written more than maxAge ago
+export function pruneSessionFiles(dir, maxAge = SNAPSHOT_MAX_AGE_MS, now = Date.now()) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return;
+  }
+  for (const name of names) {
+    if (!name.endsWith(".json")) continue;
+    const file = path.join(dir, name);
+    try {
+      if (now - fs.statSync(file).mtimeMs > maxAge) fs.rmSync(file, { force: true });
+    } catch {
+      // Another session may have removed it first
+    }
+  }
+}
+
+export function diffSnapshot(snapshot, docs) {
+  const current = new Set(docs.map((doc) => doc.path));
+  return {
+    added: docs.filter((doc) => !Object.hasOwn(snapshot, doc.path)),
+    changed: docs.filter((doc) => Object.hasOwn(snapshot, doc.path) && snapshot[doc.path] !== (doc.description ?? null)),
+    removed: Object.keys(snapshot).filter((rel) => !current.has(rel)).sort(),
+  };
+}
+
+export function renderDelta(delta, format = "xml") {
+  return RENDERERS[format].delta({
+    instructions: ["The doc index from earlier in this session still applies, with these changes since it was injected."],
+    ...delta,
+  });
+}
+
+export function hookOutput(hookEventName, additionalContext) {
+  return JSON.stringify({ hookSpecificOutput: { hookEventName, additionalContext } }) + "\n";
+}
+
+// Plain stdout is injected as-is for SessionStart and UserPromptSubmit; JSON formats use the envelope
+function writeContext(hookEventName, format, text) {
+  process.stdout.write(RENDERERS[format].hookJson ? hookOutput(hookEventName, text) : text);
+}
+
+function sessionStart(projectDir, docs, config, { truncated, roots }, input) {
+  const session = input.session_id && privateStateDir() ? input.session_id : null;
+  // Only a resumed transcript still holds the scoped docs injected before
+  if (session && input.source !== "resume") {
+    fs.rmSync(scopedRecordPath(projectDir, session), { force: true });
+  }
+  // A timed-out index is partial, so it can neither serve as a baseline nor be diffed against one
+  const snapshotFile = session && !truncated ? sessionSnapshotPath(projectDir, session) : null;
+  if (snapshotFile && input.source === "resume") {
+    const snapshot = readSessionSnapshot(snapshotFile);
+    if (snapshot) {
+      const delta = diffSnapshot(snapshot, docs);
+      writeSessionSnapshot(snapshotFile, docs);
+      // The resumed transcript still holds the earlier index; unchanged docs cost nothing
+      if (delta.added.length + delta.changed.length + delta.removed.length > 0) {
+        writeContext("SessionStart", config.format, renderDelta(delta, config.format));
+      }
+      return;
+    }
+  }
+  if (snapshotFile) writeSessionSnapshot(snapshotFile, docs);
+
+  const compacted = input.source === "compact";
+  if (compacted) docs = compactDocs(docs);
+  const includes = docPatterns(config).filter((p) => !p.startsWith("!"));
+  const { lines, errors } = readInstructionsTemplate(projectDir, config.instructions);
+  for (const error of errors) process.stderr.write(`microdoc: ${error}\n`);
+  const options = {
+    glob: includes.join(","),
+    layout: config.layout,
+    groupLimit: config.groupLimit,
+    truncated,
+    format: config.format,
+    template: lines,
+    compacted,
+    roots,
+  };
+  const text = config.maxTokens > 0 ? fitIndex(docs, config.maxTokens, options) : renderIndex(docs, options);
+  writeContext("SessionStart", config.format, text);
+}
+
+// The project file a PostToolUse payload's tool touched, or null
+export function touchedFile(projectDir, input) {
+  const toolInput = input.tool_input || {};
+  const filePath = toolInput.file_path || toolInput.notebook_path;
+  return typeof filePath === "string" && filePath ? toProjectPath(projectDir, filePath) : null;
+}
+
+function postToolUse(projectDir, docs, rel, input, config, deadline) {
+  const matched = matchScopedDocs(docs, rel);
+  if (matched.length === 0) return;
+  // Each doc is injected once per session, whichever of its files is touched next: the
+  // transcript still holds the earlier block
+  const recordFile = input.session_id && privateStateDir() ? scopedRecordPath(projectDir, input.session_id) : null;
+  const seen = recordFile ? readScopedRecord(recordFile) : [];
+  const scoped = matched.filter((doc) => !seen.includes(doc.path));
+  if (scoped.length === 0) return;
+  if (recordFile) writeScopedRecord(recordFile, [...seen, ...scoped.map((doc) => doc.path)]);
+  // Only the matched docs: this hook fires on every Read, Edit and Write
+  const marked = applyStaleness(projectDir, scoped, config, deadline);
+
+  process.stdout.write(hookOutput("PostToolUse", renderScoped(rel, marked, config.format)));
+}
+
+function userPromptSubmit(docs, input, config) {
+  if (!input.prompt) return;
+  const relevant = relevantDocs(docs, input.prompt);
+  if (relevant.length === 0) return;
+  writeContext("UserPromptSubmit", config.format, renderRelevant(relevant, config.format));
+}
+
+export function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function lintLength(description, maxWords) {
+  const words = countWords(description);
+  if (maxWords > 0 && words > maxWords) {
+    return [{ rule: "long-description", message: `description has ${words} words (limit ${maxWords})` }];
+  }
+  return [];
+}
+
+export function lintDoc(content, { maxWords = DEFAULT_CONFIG.maxWords, extractor = EXTRACTORS.yaml } = {}) {
+  // Other formats have no frontmatter block to check, only the description their extractor finds
+  if (extractor !== EXTRACTORS.yaml) {
+    const description = extractor.scalar(content, "description");
+    if (!description) return [{ rule: "missing-description", message: "no description found" }];
+    return lintLength(description, maxWords);
+  }
+
+  const frontmatter = extractFrontmatter(content);
+  if (frontmatter === null) {
+    const firstLine = content.replace(/^\uFEFF/, "").split(/\r?\n/)[0];
+    if (FRONTMATTER_DELIMITER.test(firstLine)) {
+      return [{ rule: "unparseable-frontmatter", message: "opening --- has no closing ---" }];
+    }
+    return [{ rule: "missing-frontmatter", message: "no YAML frontmatter block" }];
+  }
+
+  return [...lintYamlDescription(content, frontmatter, maxWords), ...lintConditions(content)];
+}
+
+function conditionMessages(unknown) {
+  return unknown.map((key) =>
+    key === "when"
+      ? `when must be a block or {} mapping of ${CONDITION_KEYS.join(", ")}`
+      : `unknown condition "${key}" in when (use ${CONDITION_KEYS.join(", ")})`,
+  );
+}
+
+function lintConditions(content) {
+  const unknown = extractConditions(content)?.unknown || [];
+  return conditionMessages(unknown).map((message) => ({ rule: "unknown-condition", message }));
+}
+
+function lintYamlDescription(content, frontmatter, maxWords) {
+  const line = frontmatter.split("\n").find((l) => l.startsWith("description:"));
+  if (!line) {
+    return [{ rule: "missing-description", message: "frontmatter has no description" }];
+  }
+
+  const description = extractDescription(content);
+  if (description === null && /^\s*["']/.test(line.slice("description:".length))) {
+    return [{ rule: "unparseable-frontmatter", message: "description has an unterminated quoted string" }];
+  }
+  if (description === null || description.trim() === "") {
+    return [{ rule: "empty-description", message: "description is empty" }];
+  }
+  return lintLength(description, maxWords);
+}
+
+export function lintDocs(files, { brokenLinks = [], ...options } = {}) {
+  const problems = brokenLinks.map(({ path: rel, target }) => ({
+    path: rel,
+    rule: "broken-link",
+    message: `links to missing ${target}`,
+  }));
+  const byDescription = new Map();
+  for (const { path: rel, content, extractor = EXTRACTORS.yaml } of files) {
+    for (const problem of lintDoc(content, { ...options, extractor })) problems.push({ path: rel, ...problem });
+    const description = extractor.scalar(content, "description")?.trim().toLowerCase();
+    if (!description) continue;
+    if (!byDescription.has(description)) byDescription.set(description, []);
+    byDescription.get(description).push(rel);
+  }
+  for (const paths of byDescription.values()) {
+    if (paths.length < 2) continue;
+    for (const rel of paths) {
+      const others = paths.filter((p) => p !== rel).join(", ");
+      problems.push({ path: rel, rule: "duplicate-description", message: `same description as ${others}` });
+    }
+  }
+  return problems.sort((a, b) => a.path.localeCompare(b.path) || a.rule.localeCompare(b.rule));
+}
+
+export function formatLintReport(problems, total) {
+  const out = problems.map((p) => `${p.path}: ${p.rule}: ${p.message}`);
+  if (problems.length === 0) {
+    out.push(`${total} docs, no problems`);
+  } else {
+    const files = new Set(problems.map((p) => p.path)).size;
+    out.push("", `${problems.length} problem${problems.length === 1 ? "" : "s"} in ${files} of ${total} docs`);
+  }
+  return out.join("\n") + "\n";
+}
+
+export const SEARCH_LIMIT = 5;
+const SEARCH_SECTIONS = 3;
+
+// Ranks docs by their text as well as their description. Each Markdown heading's own lines
+// (up to the next heading) are ranked separately, so a hit can name the section to read.
+export function searchDocs(projectDir, docs, query, { limit = SEARCH_LIMIT, roots = [], extractors = {} } = {}) {
+  const units = [];
+  for (const doc of docs) {
+    let content;
+    try {
+      content = readHead(resolveDocFile(projectDir, roots, doc.path), { maxBytes: MAX_DOC_BYTES });
+    } catch {
+      content = "";
+    }
+    const lines = splitLines(content);
+    const sections = extractorFor(doc.path, extractors) === EXTRACTORS.yaml ? markdownSections(content) : [];
+    // Lines from a 1-based line up to the next heading
+    const own = (start, next) => lines.slice(start - 1, next ? next.start - 1 : lines.length).join("\n");
+    // Text before the first heading counts with the path and description
+    units.push({ path: doc.path, doc, text: `${doc.path} ${doc.description || ""} ${own(1, sections[0])}` });
+    sections.forEach((section, i) => {
+      units.push({ path: doc.path, doc, section, text: own(section.start, sections[i + 1]) });
+    });
+  }
+
+  const hits = new Map();
+  for (const { doc: unit } of rankDocs(units, query, { text: (u) => u.text })) {
+    if (!hits.has(unit.path)) {
+      if (hits.size >= limit) continue;
+      hits.set(unit.path, { doc: unit.doc, sections: [] });
+    }
+    const hit = hits.get(unit.path);
+    if (unit.section && hit.sections.length < SEARCH_SECTIONS) hit.sections.push(unit.section);
+  }
+  return [...hits.values()];
+}
+
+// Protocol revisions this server can answer in; tools with text results are the same in each
+export const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+export const MCP_TOOLS = [
+  {
+    name: "list_docs",
+    description: "List the project's indexed docs with their descriptions and metadata. All filters are optional.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        glob: { type: "string", description: 'Comma-separated path globs, "!" to exclude, e.g. "docs/adr/**"' },
+        tag: { type: "string", description: "Only docs with this tag" },
+        status: { type: "string", description: 'Only docs with this status, e.g. "accepted"' },
+        package: { type: "string", description: "Only docs of this workspace package" },
+      },
+    },
+  },
+  {
+    name: "search_docs",
+    description:
+      "Search doc descriptions and bodies for keywords. Returns the best matching docs, each with the sections that matched and their line ranges.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Keywords to search for" },
+        limit: { type: "integer", minimum: 1, description: `Docs to return (default ${SEARCH_LIMIT})` },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "get_doc_section",
+    description:
+      "Fetch one section of an indexed Markdown doc, from its heading to the next heading of the same level, instead of reading the whole file.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: { type: "string", description: "Doc path as listed in the index" },
+        anchor: { type: "string", description: 'Heading anchor, e.g. "rollback-steps", or the heading text' },
+      },
+      required: ["path", "anchor"],
+    },
+  },
+];
+
+function stringArg(args, key, required = false) {
+  const value = args[key];
+  if (value === undefined && !required) return null;
+  if (typeof value !== "string" || value.trim() === "") throw new Error(`"${key}" must be a non-empty string`);
+  return value.trim();
+}
+
+function sectionJson(section) {
+  const out = { heading: section.heading, anchor: section.anchor, lines: `${section.start}-${section.end}` };
+  if (section.description) out.description = section.description;
+  return out;
+}
+
+// Discovery runs again on every call, so docs written during the session are found
+function indexedDocs(projectDir) {
+  const { config, errors } = loadConfig(projectDir);
+  for (const error of errors) process.stderr.write(`microdoc: ${error}\n`);
+  if (config.disabled) throw new Error("microdoc is disabled for this project");
+  const deadline = createDeadline(config.timeBudget);
+  const collected = collectDocs(projectDir, config, deadline);
+  for (const error of collected.errors) process.stderr.write(`microdoc: ${error}\n`);
+  return { config, collected, docs: activeDocs(projectDir, collected.docs, config, { deadline, listing: collected.listing }) };
+}
+
+// Each tool returns the text of its result and throws on bad arguments
+const MCP_TOOL_HANDLERS = {
+  list_docs(projectDir, args) {
+    const { collected, docs } = indexedDocs(projectDir);
+    const glob = stringArg(args, "glob");
+    const matches = glob ? negatableMatcher(splitGlobs(glob)) : () => true;
+    const tag = stringArg(args, "tag");
+    const status = stringArg(args, "status")?.toLowerCase();
+    const pkg = stringArg(args, "package");
+    const listed = docs.filter(
+      (doc) =>
+        matches(doc.path) &&
+        (!tag || doc.tags.includes(tag)) &&
+        (!status || doc.status === status) &&
+        (!pkg || doc.package === pkg),
+    );
+    const out = { docs: listed.map(json.docJson) };
+    if (collected.truncated) out.truncated = true;
+    return JSON.stringify(out);
+  },
+
+  search_docs(projectDir, args) {
+    const query = stringArg(args, "query", true);
+    const limit = args.limit ?? SEARCH_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1) throw new Error('"limit" must be a positive integer');
+    const { config, collected, docs } = indexedDocs(projectDir);
+    const hits = searchDocs(projectDir, docs, query, { limit, roots: collected.roots, extractors: config.extractors });
+    const results = hits.map(({ doc, sections }) => ({ ...json.docJson(doc), matches: sections.map(sectionJson) }));
+    return JSON.stringify({ results });
+  },
+
+  get_doc_section(projectDir, args) {
+    const rel = stringArg(args, "path", true);
+    const anchor = stringArg(args, "anchor", true);
+    const { config, collected } = indexedDocs(projectDir);
+    // Folded and hidden docs can still be fetched; anything outside the index cannot
+    if (!collected.docs.some((doc) => doc.path === rel)) throw new Error(`${rel} is not an indexed doc`);
+    if (extractorFor(rel, config.extractors) !== EXTRACTORS.yaml) throw new Error(`${rel} is not a Markdown doc`);
+    const content = readHead(resolveDocFile(projectDir, collected.roots, rel), { maxBytes: MAX_DOC_BYTES });
+    const sections = markdownSections(content);
+    const section = findSection(sections, anchor);
+    if (!section) {
+      const known = sections.map((s) => s.anchor).join(", ") || "none";
+      throw new Error(`${rel} has no section "${anchor}"; anchors: ${known}`);
+    }
+    return splitLines(content).slice(section.start - 1, section.end).join("\n");
+  },
+};
+
+function pluginVersion() {
+  try {
+    const manifest = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", ".claude-plugin", "plugin.json");
+    return JSON.parse(fs.readFileSync(manifest, "utf-8")).version;
+  } catch {
+    return "0.0.0";
+  }
+}
+
+// One JSON-RPC message in, the response out; null for notifications, which get none
+export function handleMcpMessage(projectDir, message) {
+  if (typeof message !== "object" || message === null || Array.isArray(message)) {
+    return { jsonrpc: "2.0", id: null, error: { code: -32600, message: "Invalid Request" } };
+  }
+  const { id, method, params = {} } = message;
+  if (id === undefined) return null;
+  const result = (value) => ({ jsonrpc: "2.0", id, result: value });
+  const error = (code, text) => ({ jsonrpc: "2.0", id, error: { code, message: text } });
+  if (typeof params !== "object" || params === null || Array.isArray(params)) {
+    return error(-32602, "Invalid params: expected an object");
+  }
+
+  if (method === "initialize") {
+    const requested = params.protocolVersion;
+    return result({
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {} },
+      serverInfo: { name: "microdoc", version: pluginVersion() },
+    });
+  }
+  if (method === "ping") return result({});
+  if (method === "tools/list") return result({ tools: MCP_TOOLS });
+  if (method === "tools/call") {
+    const handler = Object.hasOwn(MCP_TOOL_HANDLERS, params.name) ? MCP_TOOL_HANDLERS[params.name] : null;
+    if (!handler) return error(-32602, `Unknown tool: ${params.name}`);
+    // Tool failures are results the model can read and act on, not protocol errors
+    try {
+      return result({ content: [{ type: "text", text: handler(projectDir, params.arguments ?? {}) }] });
+    } catch (err) {
+      return result({ content: [{ type: "text", text: err.message }], isError: true });
+    }
+  }
+  return error(-32601, `Method not found: ${method}`);
+}
+
+// Serves MCP over stdio: newline-delimited JSON-RPC until stdin closes
+function mcpCommand(args) {
+  const projectDir = path.resolve(args[0] || process.env.CLAUDE_PROJECT_DIR || ".");
+  const input = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  input.on("line", (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      process.stdout.write(JSON.stringify({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } }) + "\n");
+      return;
+    }
+    let response;
+    try {
+      response = handleMcpMessage(projectDir, message);
+    } catch (err) {
+      // One bad request must not take down the server for the rest of the session
+      response = { jsonrpc: "2.0", id: message?.id ?? null, error: { code: -32603, message: `Internal error: ${err.message}` } };
+    }
+    if (response) process.stdout.write(JSON.stringify(response) + "\n");
+  });
+}
+
+const USAGE = `Usage: microdoc.mjs [command]
+
+Without a command, runs as a Claude Code hook (reads the hook payload on stdin).
+
+Commands:
+  lint [dir]           Check doc frontmatter, descriptions and links between docs
+    --json             Print problems as JSON
+    --max-words <n>    Word limit for descriptions (default: maxWords setting, 25)
+  mcp [dir]            Serve list_docs, search_docs and get_doc_section over MCP (stdio)
+  explain <path> [dir] Trace how discovery and parsing treat one file (on stderr)
+  help                 Show this message
+`;
+
+// Exit codes: 0 clean, 1 lint problems, 2 usage or configuration error
+function lintCommand(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: { json: { type: "boolean" }, "max-words": { type: "string" } },
+    });
+  } catch (err) {
+    process.stderr.write(`microdoc: ${err.message}\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  const projectDir = path.resolve(positionals[0] || process.env.CLAUDE_PROJECT_DIR || ".");
+
+  const { config, errors } = loadConfig(projectDir);
+  if (values["max-words"] !== undefined) {
+    try {
+      config.maxWords = coerceCount(Number(values["max-words"]));
+    } catch (err) {
+      errors.push(`--max-words ${err.message}`);
+    }
+  }
+  const collected = collectDocPaths(projectDir, config);
+  errors.push(...collected.errors);
+
+  const files = [];
+  for (const entry of collected.entries) {
+    try {
+      const extractor = extractorFor(entry.path, config.extractors);
+      const file = path.join(projectDir, entry.path);
+      const links =
+        config.links && extractor === EXTRACTORS.yaml
+          ? markdownLinks(entry.path, readHead(file, { maxBytes: PREAMBLE_BYTES }))
+          : [];
+      files.push({ path: entry.path, content: extractor.read(file), extractor, links });
+    } catch (err) {
+      errors.push(`skipped ${entry.path}: ${err.message}`);
+    }
+  }
+  for (const error of errors) process.stderr.write(`microdoc: ${error}\n`);
+  const problems = lintDocs(files, { maxWords: config.maxWords, brokenLinks: findBrokenLinks(projectDir, files) });
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify({ docs: files.length, problems }, null, 2) + "\n");
+  } else {
+    process.stdout.write(formatLintReport(problems, files.length));
+  }
+  if (errors.length > 0) return 2;
+  return problems.length > 0 ? 1 : 0;
+}
+
+// Exit codes: 0 the file is indexed, 1 it is not, 2 usage or configuration error
+function explainCommand(args) {
+  const [target, dir] = args;
+  if (!target || args.length > 2) {
+    process.stderr.write(`microdoc: explain takes a path and an optional project dir\n${USAGE}`);
+    return 2;
+  }
+  const projectDir = path.resolve(dir || process.env.CLAUDE_PROJECT_DIR || ".");
+  // A relative path names a file in the project, wherever the command runs
+  const rel = toProjectPath(projectDir, target);
+  if (!rel) {
+    process.stderr.write(`microdoc: ${target} is outside ${projectDir}\n`);
+    return 2;
+  }
+
+  const { config, errors } = loadConfig(projectDir);
+  for (const error of errors) process.stderr.write(`microdoc: ${error}\n`);
+  const log = createDebugLog(true, { only: rel, write: (message) => process.stderr.write(`microdoc: ${message}\n`) });
+  if (config.disabled) log("the disabled setting is on, so the hook prints nothing for this project");
+  const deadline = createDeadline(config.timeBudget);
+  const collected = collectDocs(projectDir, config, deadline, log);
+  for (const error of collected.errors) process.stderr.write(`microdoc: ${error}\n`);
+  if (collected.truncated) log(`the time budget of ${config.timeBudget} ms ran out before discovery and parsing finished`);
+  const active = activeDocs(projectDir, collected.docs, config, { deadline, log, listing: collected.listing });
+  const indexed = active.some((doc) => doc.path === rel);
+  if (indexed && config.maxTokens > 0) log(`${rel}: indexed, though the index may shorten or omit it to fit maxTokens`);
+  else log(`${rel}: ${indexed ? "indexed" : "not indexed"}`);
+  if (errors.length > 0) return 2;
+  return indexed ? 0 : 1;
+}
+
+function runHook() {
+  const projectDir = process.env.CLAUDE_PROJECT_DIR;
+  if (!projectDir) process.exit(0);
+
+  const { config, errors } = loadConfig(projectDir);
+  for (const error of errors) process.stderr.write(`microdoc: ${error}\n`);
+  if (config.disabled) process.exit(0);
+  // Budgeted below the 5-second hook timeout so a partial index is still printed in time
+  const deadline = createDeadline(config.timeBudget);
+  const log = createDebugLog(config.debug);
+
+  const input = readHookInput();
+  log(`${input.hook_event_name || "SessionStart"} hook in ${projectDir}`);
+  // Most tool calls touch nothing in the project; skip discovery for them
+  const touched = input.hook_event_name === "PostToolUse" ? touchedFile(projectDir, input) : null;
+  if (input.hook_event_name === "PostToolUse" && !touched) process.exit(0);
+
+  // Prompts and tool calls fire many times a session and never show broken links, so they skip
+  // reading doc bodies for links. With the cache on, links come from it at no cost, and parsing
+  // without them would change its fingerprint and throw it away.
+  const everyTurn = input.hook_event_name === "UserPromptSubmit" || input.hook_event_name === "PostToolUse";
+  const links = config.links && (!everyTurn || config.cache);
+  const collected = collectDocs(projectDir, { ...config, links }, deadline, log);
+  for (const error of collected.errors) process.stderr.write(`microdoc: ${error}\n`);
+  if (collected.truncated) {
+    process.stderr.write(
+      `microdoc: time budget of ${config.timeBudget} ms ran out; indexed the ${collected.docs.length} docs read so far\n`,
+    );
+  }
+  const docs = activeDocs(projectDir, collected.docs, config, { deadline, log, listing: collected.listing });
+  log(`${docs.length} of ${collected.docs.length} docs indexed`);
+  if (docs.length === 0 && !collected.truncated) process.exit(0);
+
+  timed(log, "output", () => {
+    if (input.hook_event_name === "PostToolUse") {
+      postToolUse(projectDir, docs, touched, input, config, deadline);
+    } else if (input.hook_event_name === "UserPromptSubmit") {
+      userPromptSubmit(docs, input, config);
+    } else {
+      // Once per session is enough; the other events fire too often to repeat it
+      for (const { path: rel, target } of findBrokenLinks(projectDir, collected.docs, collected.roots)) {
+        process.stderr.write(`microdoc: ${rel}: broken link to ${target}\n`);
+      }
+      sessionStart(projectDir, applyStaleness(projectDir, docs, config, deadline), config, collected, input);
+    }
+  });
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  if (command === undefined) {
+    runHook();
+  } else if (command === "lint") {
+    process.exitCode = lintCommand(args);
+  } else if (command === "mcp") {
+    mcpCommand(args);
+  } else if (command === "explain") {
+    process.exitCode = explainCommand(args);
+  } else if (command === "help" || command === "--help" || command === "-h") {
+    process.stdout.write(USAGE);
+  } else {
+    process.stderr.write(`microdoc: unknown command "${command}"\n${USAGE}`);
+    process.exitCode = 2;
+  }
 }
 
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  main();
+  main(process.argv.slice(2));
 }
@@ -0,0 +1,86 @@
+// Machine-readable index. The hook delivers it as hookSpecificOutput.additionalContext, so
+// scripts can JSON.parse the hook output, then the context string, instead of scraping XML.
+const SOURCE = "microdoc plugin by Rafael Kallis";
+
+// Emitted through the hookSpecificOutput envelope rather than as plain stdout
+export const hookJson = true;
+
+// Also the doc shape of the MCP server's tool results
+export function docJson(entry) {
+  const out = { path: entry.path };
+  if (entry.description) out.description = entry.description;
+  if (entry.package) out.package = entry.package;
+  if (entry.title) out.title = entry.title;
+  if (entry.status) out.status = entry.status;
+  if (entry.tags && entry.tags.length > 0) out.tags = entry.tags;
+  if (entry.supersededBy) out.supersededBy = entry.supersededBy;
+  if (entry.supersedes && entry.supersedes.length > 0) out.supersedes = entry.supersedes;
+  if (entry.related && entry.related.length > 0) out.related = entry.related;
+  if (entry.stale) Object.assign(out, { stale: true, behind: entry.behind });
+  if (entry.derived) out.derived = true;
+  if (entry.sections && entry.sections.length > 0) {
+    out.sections = entry.sections.map((section) => {
+      const json = { heading: section.heading, lines: `${section.start}-${section.end}` };
+      if (section.description) json.description = section.description;
+      return json;
+    });
+  }
+  return out;
+}
+
+function groupJson(node) {
+  const out = { path: node.path };
+  if (node.index) {
+    out.index = node.index.path;
+    if (node.index.description) out.description = node.index.description;
+  }
+  if (node.collapsed) {
+    out.count = node.count;
+    return out;
+  }
+  out.docs = node.docs.map(docJson);
+  if (node.groups.length > 0) out.groups = node.groups.map(groupJson);
+  return out;
+}
+
+export function doc(entry) {
+  return JSON.stringify(docJson(entry));
+}
+
+export function index(model) {
+  const instructions = [...model.instructions];
+  if (model.collapsed) {
+    instructions.push("Groups with a count are collapsed; Glob their path to list the docs inside.");
+  }
+  if (model.omitted) {
+    instructions.push("Some docs were left out to save tokens; Glob omitted.glob to list them.");
+  }
+  if (model.roots.length > 0) {
+    instructions.push("Paths starting with @alias/ are outside the project; Read them under the path of the root with that alias.");
+  }
+  const out = { source: SOURCE, instructions };
+  if (model.roots.length > 0) out.roots = model.roots;
+  out.docs = model.docs.map(docJson);
+  if (model.groups.length > 0) out.groups = model.groups.map(groupJson);
+  if (model.omitted) out.omitted = model.omitted;
+  if (model.truncated) out.truncated = { reason: "timeout" };
+  return JSON.stringify(out);
+}
+
+export function scoped(model) {
+  return JSON.stringify({ source: SOURCE, file: model.file, instructions: model.instructions, docs: model.docs.map(docJson) });
+}
+
+export function relevant(model) {
+  return JSON.stringify({ source: SOURCE, instructions: model.instructions, docs: model.docs.map(docJson) });
+}
+
+export function delta(model) {
+  return JSON.stringify({
+    source: SOURCE,
+    instructions: model.instructions,
+    added: model.added.map(docJson),
+    changed: model.changed.map(docJson),
+    removed: model.removed,
+  });
+}
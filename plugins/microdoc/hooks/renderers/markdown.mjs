@@ -0,0 +1,84 @@
+// Compact bullet list, one line per doc, for tools that read Markdown better than XML.
+import { docAttributes } from "./xml.mjs";
+
+const SOURCE = "microdoc plugin by Rafael Kallis";
+
+// Multi-line descriptions would break the one-bullet-per-doc layout
+function inline(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+export function doc(entry, indent = "") {
+  const meta = docAttributes(entry).slice(1).map(([name, value]) => `${name}: ${value}`);
+  let line = `${indent}- \`${entry.path}\``;
+  if (meta.length > 0) line += ` (${meta.join("; ")})`;
+  if (entry.description) line += `: ${inline(entry.description)}`;
+  for (const section of entry.sections || []) {
+    line += `\n${indent}  - ${inline(section.heading)} (lines ${section.start}-${section.end})`;
+    if (section.description) line += `: ${inline(section.description)}`;
+  }
+  return line;
+}
+
+function group(node, indent, out) {
+  let line = `${indent}- \`${node.path}/\``;
+  const meta = [];
+  if (node.index) meta.push(`index: ${node.index.path}`);
+  if (node.collapsed) meta.push(`${node.count} docs, collapsed`);
+  if (meta.length > 0) line += ` (${meta.join("; ")})`;
+  if (node.index?.description) line += `: ${inline(node.index.description)}`;
+  out.push(line);
+  if (!node.collapsed) body(node, indent + "  ", out);
+}
+
+function body(node, indent, out) {
+  for (const entry of node.docs) out.push(doc(entry, indent));
+  for (const child of node.groups) group(child, indent, out);
+}
+
+export function index(model) {
+  const instructions = [...model.instructions];
+  if (model.collapsed) {
+    instructions.push("Groups marked collapsed show only a doc count; Glob their path to list the docs inside.");
+  }
+  if (model.omitted) {
+    instructions.push("Some docs were left out to save tokens; Glob the pattern on the Omitted line to list them.");
+  }
+  if (model.roots.length > 0) {
+    instructions.push("Paths starting with @alias/ are outside the project; Read them under the directory on the Root line for that alias.");
+  }
+
+  const out = [`# Docs index (${SOURCE})`, "", ...instructions, ""];
+  body(model, "", out);
+  const footer = model.roots.map((root) => `Root \`@${root.alias}/\`: \`${root.path}\``);
+  if (model.omitted) footer.push(`Omitted: ${model.omitted.count} docs matching \`${model.omitted.glob}\``);
+  if (model.truncated) footer.push("Truncated: timeout");
+  if (footer.length > 0) out.push("", ...footer);
+  return out.join("\n") + "\n";
+}
+
+export function scoped(model) {
+  const out = [`## Docs scoped to \`${model.file}\` (microdoc)`, "", ...model.instructions, ""];
+  for (const entry of model.docs) out.push(doc(entry));
+  return out.join("\n");
+}
+
+export function relevant(model) {
+  const out = ["## Relevant docs (microdoc)", "", ...model.instructions, ""];
+  for (const entry of model.docs) out.push(doc(entry));
+  return out.join("\n") + "\n";
+}
+
+export function delta(model) {
+  const out = [`# Docs index changes (${SOURCE})`, "", ...model.instructions];
+  for (const [label, docs] of [["Added", model.added], ["Changed", model.changed]]) {
+    if (docs.length === 0) continue;
+    out.push("", `${label}:`, "");
+    for (const entry of docs) out.push(doc(entry));
+  }
+  if (model.removed.length > 0) {
+    out.push("", "Removed:", "");
+    for (const rel of model.removed) out.push(`- \`${rel}\``);
+  }
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,136 @@
+// Default format: the <microdoc> XML block injected as plain hook stdout.
+const SOURCE = "microdoc plugin by Rafael Kallis";
+
+export function xmlEscape(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+export function xmlEscapeAttr(text) {
+  return xmlEscape(text).replace(/"/g, "&quot;");
+}
+
+// Metadata in display order; the Markdown renderer reuses it
+export function docAttributes(doc) {
+  const attrs = [["path", doc.path]];
+  if (doc.package) attrs.push(["package", doc.package]);
+  if (doc.title) attrs.push(["title", doc.title]);
+  if (doc.status) attrs.push(["status", doc.status]);
+  if (doc.tags && doc.tags.length > 0) attrs.push(["tags", doc.tags.join(",")]);
+  if (doc.supersededBy) attrs.push(["superseded-by", doc.supersededBy]);
+  if (doc.supersedes && doc.supersedes.length > 0) attrs.push(["supersedes", doc.supersedes.join(",")]);
+  if (doc.related && doc.related.length > 0) attrs.push(["related", doc.related.join(",")]);
+  if (doc.stale) attrs.push(["stale", "true"], ["behind", `${doc.behind} ${doc.behind === 1 ? "commit" : "commits"}`]);
+  if (doc.derived) attrs.push(["derived", "true"]);
+  return attrs;
+}
+
+function section(entry) {
+  const attrs = ` heading="${xmlEscapeAttr(entry.heading)}" lines="${entry.start}-${entry.end}"`;
+  return entry.description ? `<section${attrs}>${xmlEscape(entry.description)}</section>` : `<section${attrs}/>`;
+}
+
+export function doc(entry) {
+  const attrs = docAttributes(entry).map(([name, value]) => ` ${name}="${xmlEscapeAttr(value)}"`).join("");
+  if (entry.sections && entry.sections.length > 0) {
+    return [`<doc${attrs}>${xmlEscape(entry.description || "")}`, ...entry.sections.map(section), "</doc>"].join("\n");
+  }
+  if (entry.description) {
+    return `<doc${attrs}>${xmlEscape(entry.description)}</doc>`;
+  }
+  return `<doc${attrs}/>`;
+}
+
+function group(node, out) {
+  let attrs = ` path="${xmlEscapeAttr(node.path)}"`;
+  if (node.index) {
+    attrs += ` index="${xmlEscapeAttr(node.index.path)}"`;
+    if (node.index.description) attrs += ` description="${xmlEscapeAttr(node.index.description)}"`;
+  }
+  if (node.collapsed) {
+    out.push(`<group${attrs} count="${node.count}"/>`);
+    return;
+  }
+  out.push(`<group${attrs}>`);
+  body(node, out);
+  out.push("</group>");
+}
+
+function body(node, out) {
+  for (const entry of node.docs) out.push(doc(entry));
+  for (const child of node.groups) group(child, out);
+}
+
+export function index(model) {
+  const out = [];
+  out.push(`<microdoc source="${SOURCE}">`);
+  out.push("<instructions>");
+  // Project templates can say things like "never edit <generated>"
+  out.push(...model.instructions.map(xmlEscape));
+  if (model.collapsed) {
+    out.push("Groups with a count attribute are collapsed; Glob their path to list the docs inside.");
+  }
+  if (model.omitted) {
+    out.push("Some docs were left out to save tokens; Glob the pattern in <omitted> to list them.");
+  }
+  if (model.roots.length > 0) {
+    out.push("Paths starting with @alias/ are outside the project; Read them under the path of the <root> with that alias.");
+  }
+  out.push("</instructions>");
+  if (model.roots.length > 0) {
+    out.push("<roots>");
+    for (const root of model.roots) out.push(`<root alias="${xmlEscapeAttr(root.alias)}" path="${xmlEscapeAttr(root.path)}"/>`);
+    out.push("</roots>");
+  }
+  out.push("<docs>");
+  body(model, out);
+  out.push("</docs>");
+  if (model.omitted) {
+    out.push(`<omitted count="${model.omitted.count}" glob="${xmlEscapeAttr(model.omitted.glob)}"/>`);
+  }
+  if (model.truncated) out.push('<truncated reason="timeout"/>');
+  out.push("</microdoc>");
+  return out.join("\n") + "\n";
+}
+
+export function scoped(model) {
+  const out = [];
+  out.push(`<microdoc-scoped file="${xmlEscapeAttr(model.file)}">`);
+  out.push("<instructions>");
+  out.push(...model.instructions);
+  out.push("</instructions>");
+  for (const entry of model.docs) out.push(doc(entry));
+  out.push("</microdoc-scoped>");
+  return out.join("\n");
+}
+
+export function relevant(model) {
+  const out = [];
+  out.push("<microdoc-relevant>");
+  out.push("<instructions>");
+  out.push(...model.instructions);
+  out.push("</instructions>");
+  for (const entry of model.docs) out.push(doc(entry));
+  out.push("</microdoc-relevant>");
+  return out.join("\n") + "\n";
+}
+
+export function delta(model) {
+  const out = [];
+  out.push(`<microdoc-delta source="${SOURCE}">`);
+  out.push("<instructions>");
+  out.push(...model.instructions);
+  out.push("</instructions>");
+  for (const [tag, docs] of [["added", model.added], ["changed", model.changed]]) {
+    if (docs.length === 0) continue;
+    out.push(`<${tag}>`);
+    for (const entry of docs) out.push(doc(entry));
+    out.push(`</${tag}>`);
+  }
+  if (model.removed.length > 0) {
+    out.push("<removed>");
+    for (const rel of model.removed) out.push(`<doc path="${xmlEscapeAttr(rel)}"/>`);
+    out.push("</removed>");
+  }
+  out.push("</microdoc-delta>");
+  return out.join("\n") + "\n";
+}
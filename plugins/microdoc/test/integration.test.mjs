@@ -3,7 +3,7 @@ import assert from "node:assert/strict";
 import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
-import { execFileSync } from "node:child_process";
+import { execFileSync, spawnSync } from "node:child_process";
 
 const SCRIPT = path.resolve(import.meta.dirname, "../hooks/microdoc.mjs");
 
@@ -24,10 +24,11 @@ describe("integration", () => {
     fs.writeFileSync(full, content, "utf-8");
   }
 
-  function runScript(env = {}) {
+  function runScript(env = {}, input = "") {
     const result = execFileSync("node", [SCRIPT], {
       env: { PATH: process.env.PATH, ...env },
       encoding: "utf-8",
+      input,
     });
     return result;
   }
@@ -90,10 +91,16 @@ describe("integration", () => {
     writeDoc("docs/no-desc.md", "---\ntitle: No Desc\n---\n# Body");
 
     const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
-    assert.ok(out.includes('<doc path="docs/no-desc.md"/>'));
+    assert.ok(out.includes('<doc path="docs/no-desc.md" title="No Desc"/>'));
     assert.ok(!out.includes("(no description)"));
   });
 
+  it("derives a marked description when CLAUDE_MICRODOC_DERIVE is set", () => {
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_DERIVE: "1" });
+    assert.ok(out.includes('<doc path="docs/no-desc.md" title="No Desc" derived="true">Body</doc>'));
+    assert.ok(out.includes("Descriptions marked derived were generated"));
+  });
+
   it("XML-escapes special characters in descriptions", () => {
     writeDoc(
       "docs/special.md",
@@ -128,6 +135,216 @@ describe("integration", () => {
     assert.ok(out.includes('path="docs/a/b/c/deep.md"'));
     assert.ok(out.includes("Deep doc"));
   });
+
+  it("excludes docs matching negated globs", () => {
+    writeDoc("docs/archive/old.md", "---\ndescription: Old decision\n---\n");
+
+    const all = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(all.includes('path="docs/archive/old.md"'));
+
+    const negated = runScript({
+      CLAUDE_PROJECT_DIR: tmpDir,
+      CLAUDE_MICRODOC_GLOB: "docs/**/*.md,!docs/archive/**",
+    });
+    assert.ok(negated.includes('path="docs/api.md"'));
+    assert.ok(!negated.includes("docs/archive/old.md"));
+  });
+
+  it("excludes docs listed in CLAUDE_MICRODOC_EXCLUDE", () => {
+    const out = runScript({
+      CLAUDE_PROJECT_DIR: tmpDir,
+      CLAUDE_MICRODOC_EXCLUDE: "docs/archive/**",
+    });
+    assert.ok(out.includes('path="docs/api.md"'));
+    assert.ok(!out.includes("docs/archive/old.md"));
+  });
+
+  it("renders metadata and folds superseded docs on request", () => {
+    writeDoc(
+      "docs/adr/001-sessions.md",
+      "---\ndescription: Cookie sessions\nstatus: superseded\nsuperseded_by: 002\n---\n",
+    );
+    writeDoc(
+      "docs/adr/002-tokens.md",
+      "---\ndescription: JWT auth\ntitle: Token auth\nstatus: Accepted\ntags: [auth, security]\n---\n",
+    );
+
+    const shown = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(shown.includes(
+      '<doc path="docs/adr/001-sessions.md" status="superseded" superseded-by="docs/adr/002-tokens.md">Cookie sessions</doc>',
+    ));
+    assert.ok(shown.includes(
+      '<doc path="docs/adr/002-tokens.md" title="Token auth" status="accepted" tags="auth,security">JWT auth</doc>',
+    ));
+
+    const folded = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_INACTIVE: "fold" });
+    assert.ok(!folded.includes('<doc path="docs/adr/001-sessions.md"'));
+    assert.ok(folded.includes('supersedes="docs/adr/001-sessions.md">JWT auth</doc>'));
+
+    const hidden = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_INACTIVE: "hide" });
+    assert.ok(!hidden.includes("001-sessions.md"));
+  });
+
+  it("groups docs by directory in grouped layout", () => {
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_LAYOUT: "grouped" });
+    assert.ok(out.includes('<group path="docs/a">'));
+    assert.ok(out.includes('<group path="docs/adr">'));
+    assert.ok(out.includes("</group>"));
+    assert.ok(out.includes('<doc path="docs/api.md">REST API endpoints</doc>'));
+
+    const collapsed = runScript({
+      CLAUDE_PROJECT_DIR: tmpDir,
+      CLAUDE_MICRODOC_LAYOUT: "grouped",
+      CLAUDE_MICRODOC_GROUP_LIMIT: "1",
+    });
+    assert.ok(collapsed.includes('<group path="docs/adr" count="2"/>'));
+  });
+
+  it("truncates the index to the token budget", () => {
+    const out = runScript({
+      CLAUDE_PROJECT_DIR: tmpDir,
+      CLAUDE_MICRODOC_MAX_TOKENS: "120",
+    });
+    assert.ok(out.length / 4 <= 120);
+    assert.match(out, /<omitted count="\d+" glob="docs\/\*\*\/\*\.\{md,mdc\}"\/>\n<\/microdoc>/);
+  });
+
+  it("injects path-scoped docs after touching a matching file", () => {
+    writeDoc(
+      "docs/billing.md",
+      "---\ndescription: Billing ledger\npaths:\n  - src/billing/**\n---\n",
+    );
+
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir }, JSON.stringify({
+      hook_event_name: "PostToolUse",
+      tool_name: "Read",
+      tool_input: { file_path: path.join(tmpDir, "src/billing/invoice.js") },
+    }));
+    const result = JSON.parse(out);
+    assert.equal(result.hookSpecificOutput.hookEventName, "PostToolUse");
+    const context = result.hookSpecificOutput.additionalContext;
+    assert.ok(context.includes('<microdoc-scoped file="src/billing/invoice.js">'));
+    assert.ok(context.includes('<doc path="docs/billing.md">Billing ledger</doc>'));
+    assert.ok(!context.includes("docs/api.md"));
+  });
+
+  it("stays silent when no doc is scoped to the touched file", () => {
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir }, JSON.stringify({
+      hook_event_name: "PostToolUse",
+      tool_name: "Edit",
+      tool_input: { file_path: path.join(tmpDir, "src/other.js") },
+    }));
+    assert.equal(out, "");
+  });
+
+  it("stays silent for tools that touch nothing in the project", () => {
+    const env = { CLAUDE_PROJECT_DIR: tmpDir };
+    const run = (toolInput) => runScript(env, JSON.stringify({ hook_event_name: "PostToolUse", tool_name: "Read", tool_input: toolInput }));
+    assert.equal(run({ command: "ls" }), "");
+    assert.equal(run({ file_path: path.join(os.tmpdir(), "src/billing/invoice.js") }), "");
+  });
+
+  it("injects each scoped doc once per session", () => {
+    const snapshots = path.join(tmpDir, ".tmp");
+    fs.mkdirSync(snapshots, { recursive: true });
+    const env = { CLAUDE_PROJECT_DIR: tmpDir, TMPDIR: snapshots };
+    const touch = (file, sessionId) =>
+      runScript(env, JSON.stringify({
+        hook_event_name: "PostToolUse",
+        session_id: sessionId,
+        tool_name: "Read",
+        tool_input: { file_path: path.join(tmpDir, file) },
+      }));
+
+    assert.ok(touch("src/billing/ledger.js", "scoped").includes("docs/billing.md"));
+    assert.equal(touch("src/billing/ledger.js", "scoped"), "");
+    assert.equal(touch("src/billing/tax.js", "scoped"), "");
+    assert.ok(touch("src/billing/ledger.js", "other").includes("docs/billing.md"));
+
+    runScript(env, JSON.stringify({ hook_event_name: "SessionStart", session_id: "scoped", source: "compact" }));
+    assert.ok(touch("src/billing/ledger.js", "scoped").includes("docs/billing.md"));
+  });
+
+  it("injects relevant docs for a user prompt", () => {
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir }, JSON.stringify({
+      hook_event_name: "UserPromptSubmit",
+      prompt: "Add a new REST endpoint",
+    }));
+    assert.ok(out.startsWith("<microdoc-relevant>"));
+    assert.ok(out.includes('<doc path="docs/api.md">REST API endpoints</doc>'));
+    assert.ok(!out.includes("docs/arch.md"));
+  });
+
+  it("stays silent when no doc matches the prompt", () => {
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir }, JSON.stringify({
+      hook_event_name: "UserPromptSubmit",
+      prompt: "zzz qqq",
+    }));
+    assert.equal(out, "");
+  });
+
+  it("renders a Markdown index with CLAUDE_MICRODOC_FORMAT=markdown", () => {
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_FORMAT: "markdown" });
+    assert.ok(out.startsWith("# Docs index (microdoc plugin by Rafael Kallis)\n"));
+    assert.ok(out.includes("- `docs/api.md`: REST API endpoints\n"));
+  });
+
+  it("wraps the JSON index in the SessionStart hook envelope", () => {
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_FORMAT: "json" });
+    const result = JSON.parse(out);
+    assert.equal(result.hookSpecificOutput.hookEventName, "SessionStart");
+    const index = JSON.parse(result.hookSpecificOutput.additionalContext);
+    assert.ok(index.docs.some((d) => d.path === "docs/api.md" && d.description === "REST API endpoints"));
+  });
+
+  it("uses the configured format for prompt and path-scoped hints", () => {
+    const env = { CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_FORMAT: "json" };
+    const prompt = JSON.parse(runScript(env, JSON.stringify({
+      hook_event_name: "UserPromptSubmit",
+      prompt: "Add a new REST endpoint",
+    })));
+    assert.equal(prompt.hookSpecificOutput.hookEventName, "UserPromptSubmit");
+    assert.equal(JSON.parse(prompt.hookSpecificOutput.additionalContext).docs[0].path, "docs/api.md");
+
+    const scoped = JSON.parse(runScript(env, JSON.stringify({
+      hook_event_name: "PostToolUse",
+      tool_name: "Read",
+      tool_input: { file_path: path.join(tmpDir, "src/billing/invoice.js") },
+    })));
+    assert.equal(JSON.parse(scoped.hookSpecificOutput.additionalContext).file, "src/billing/invoice.js");
+  });
+
+  it("injects only changes on resume and a shorter index after compaction", () => {
+    const snapshots = path.join(tmpDir, ".tmp");
+    fs.mkdirSync(snapshots, { recursive: true });
+    const env = { CLAUDE_PROJECT_DIR: tmpDir, TMPDIR: snapshots };
+    const start = (source, sessionId = "s1") =>
+      runScript(env, JSON.stringify({ hook_event_name: "SessionStart", session_id: sessionId, source }));
+
+    writeDoc("docs/session.md", "---\ndescription: Session notes. Second sentence.\n---\n");
+    assert.ok(start("startup").includes("Session notes. Second sentence."));
+    const sessions = fs.readdirSync(path.join(snapshots, `microdoc-${process.getuid()}`, "sessions"));
+    assert.ok(sessions.some((name) => !name.endsWith(".scoped.json")));
+    assert.equal(start("resume"), "");
+
+    writeDoc("docs/session.md", "---\ndescription: Session notes, revised.\n---\n");
+    writeDoc("docs/added.md", "---\ndescription: Added later\n---\n");
+    const delta = start("resume");
+    assert.ok(delta.startsWith('<microdoc-delta source="microdoc plugin by Rafael Kallis">'));
+    assert.ok(delta.includes('<added>\n<doc path="docs/added.md">Added later</doc>\n</added>'));
+    assert.ok(delta.includes('<changed>\n<doc path="docs/session.md">Session notes, revised.</doc>\n</changed>'));
+    assert.ok(!delta.includes("docs/api.md"));
+
+    fs.rmSync(path.join(tmpDir, "docs/added.md"));
+    assert.ok(start("resume").includes('<removed>\n<doc path="docs/added.md"/>\n</removed>'));
+    assert.ok(start("resume", "s2").startsWith("<microdoc "));
+
+    writeDoc("docs/session.md", "---\ndescription: Session notes. Second sentence.\n---\n");
+    const compacted = start("compact");
+    assert.ok(compacted.includes('<doc path="docs/session.md">Session notes.</doc>'));
+    assert.ok(compacted.includes("The conversation was compacted"));
+    fs.rmSync(path.join(tmpDir, "docs/session.md"));
+  });
 });
 
 describe("integration (fallback, non-git)", () => {
@@ -165,6 +382,133 @@ describe("integration (fallback, non-git)", () => {
     assert.ok(out.includes('path="docs/readme.md"'));
     assert.ok(!out.includes("node_modules"));
   });
+
+  it("applies ignore files and follows symlinks like the git listing would", () => {
+    writeDoc(".gitignore", "generated/\n");
+    writeDoc("docs/.gitignore", "drafts/*\n!drafts/keep.md\n");
+    writeDoc("docs/.microdocignore", "/vendored.md\n");
+    writeDoc("docs/generated/api.md", "---\ndescription: Generated\n---\n");
+    writeDoc("docs/drafts/wip.md", "---\ndescription: Draft\n---\n");
+    writeDoc("docs/drafts/keep.md", "---\ndescription: Kept draft\n---\n");
+    writeDoc("docs/vendored.md", "---\ndescription: Vendored\n---\n");
+    writeDoc("shared/linked.md", "---\ndescription: Linked\n---\n");
+    fs.symlinkSync(path.join(tmpDir, "shared"), path.join(tmpDir, "docs", "shared"));
+    fs.symlinkSync(path.join(tmpDir, "docs"), path.join(tmpDir, "shared", "loop"));
+
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(out.includes('<doc path="docs/drafts/keep.md">Kept draft</doc>'));
+    assert.ok(out.includes('<doc path="docs/shared/linked.md">Linked</doc>'));
+    for (const name of ["generated/api.md", "drafts/wip.md", "vendored.md", "loop/"]) {
+      assert.ok(!out.includes(name), name);
+    }
+  });
+
+  it("takes the skip list from CLAUDE_MICRODOC_SKIP_DIRS", () => {
+    writeDoc("docs/build/howto.md", "---\ndescription: Build howto\n---\n");
+    writeDoc("docs/tmp/scratch.md", "---\ndescription: Scratch\n---\n");
+
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_SKIP_DIRS: "tmp" });
+    assert.ok(out.includes('<doc path="docs/build/howto.md">Build howto</doc>'));
+    assert.ok(!out.includes("scratch.md"));
+  });
+
+  it("skips docs whose env or file conditions fail", () => {
+    writeDoc("docs/migrations.md", "---\ndescription: Migration rules\nwhen:\n  files: db/migrations/**\n---\n");
+    writeDoc("docs/deploy.md", "---\ndescription: Deploy steps\nwhen:\n  env: DEPLOY_ENV=prod\n---\n");
+
+    const before = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(!before.includes("docs/migrations.md"));
+    assert.ok(!before.includes("docs/deploy.md"));
+
+    writeDoc("db/migrations/001_init.sql", "");
+    const after = runScript({ CLAUDE_PROJECT_DIR: tmpDir, DEPLOY_ENV: "prod" });
+    assert.ok(after.includes('<doc path="docs/migrations.md">Migration rules</doc>'));
+    assert.ok(after.includes('<doc path="docs/deploy.md">Deploy steps</doc>'));
+  });
+
+  it("reads one-line conditions and warns about unreadable ones", () => {
+    writeDoc("docs/docker.md", "---\ndescription: Docker image\nwhen: {files: [Dockerfile]}\n---\n");
+    writeDoc("docs/typo.md", "---\ndescription: Typo\nwhen: Dockerfile\n---\n");
+    try {
+      const run = () => spawnSync("node", [SCRIPT], { env: { PATH: process.env.PATH, CLAUDE_PROJECT_DIR: tmpDir }, encoding: "utf-8" });
+      const before = run();
+      assert.ok(!before.stdout.includes("docs/docker.md"));
+      assert.ok(before.stdout.includes('<doc path="docs/typo.md">Typo</doc>'));
+      assert.equal(before.stderr, "microdoc: docs/typo.md: when must be a block or {} mapping of branch, env, files, ignored\n");
+
+      writeDoc("Dockerfile", "FROM node\n");
+      assert.ok(run().stdout.includes('<doc path="docs/docker.md">Docker image</doc>'));
+    } finally {
+      for (const rel of ["docs/docker.md", "docs/typo.md", "Dockerfile"]) fs.rmSync(path.join(tmpDir, rel));
+    }
+  });
+
+  it("traces discovery on stderr with CLAUDE_MICRODOC_DEBUG", () => {
+    writeDoc("docs/untitled.md", "---\ntitle: Untitled\n---\n");
+    const { stdout, stderr, status } = spawnSync("node", [SCRIPT], {
+      env: { PATH: process.env.PATH, CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_DEBUG: "1" },
+      encoding: "utf-8",
+    });
+    assert.equal(status, 0);
+    assert.ok(stdout.includes('<doc path="docs/readme.md">Readme</doc>'));
+    assert.match(stderr, /^microdoc: debug: discovery in .+: filesystem walk, since git failed: /m);
+    assert.ok(stderr.includes("microdoc: debug: glob docs/**/*.{md,mdc} compiles to /^docs\\/(?:.*\\/)?[^/]*\\.(?:md|mdc)$/\n"));
+    assert.ok(stderr.includes("microdoc: debug: docs/readme.md: matched by docs/**/*.{md,mdc}\n"));
+    assert.ok(stderr.includes("microdoc: debug: docs/untitled.md: no description, frontmatter has no description\n"));
+    assert.match(stderr, /^microdoc: debug: timing: parsing took [\d.]+ ms$/m);
+
+    assert.equal(spawnSync("node", [SCRIPT], { env: { PATH: process.env.PATH, CLAUDE_PROJECT_DIR: tmpDir }, encoding: "utf-8" }).stderr, "");
+  });
+});
+
+describe("integration (monorepo)", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-mono-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeDoc(relPath, content) {
+    const full = path.join(tmpDir, relPath);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content, "utf-8");
+  }
+
+  function runScript(env = {}) {
+    return execFileSync("node", [SCRIPT], {
+      env: { PATH: process.env.PATH, ...env },
+      encoding: "utf-8",
+    });
+  }
+
+  it("finds docs under every workspace package and tags them", () => {
+    writeDoc("package.json", JSON.stringify({ workspaces: ["packages/*"] }));
+    writeDoc("docs/root.md", "---\ndescription: Root doc\n---\n");
+    writeDoc("packages/billing/package.json", JSON.stringify({ name: "@acme/billing" }));
+    writeDoc("packages/billing/docs/ledger.md", "---\ndescription: Ledger\n---\n");
+    writeDoc("packages/web/package.json", JSON.stringify({ name: "@acme/web", microdoc: { glob: ["guides/*.md"] } }));
+    writeDoc("packages/web/guides/routing.md", "---\ndescription: Routing\n---\n");
+    writeDoc("packages/web/docs/ignored.md", "---\ndescription: Ignored\n---\n");
+
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(out.includes('<doc path="docs/root.md">Root doc</doc>'));
+    assert.ok(out.includes('<doc path="packages/billing/docs/ledger.md" package="@acme/billing">Ledger</doc>'));
+    assert.ok(out.includes('<doc path="packages/web/guides/routing.md" package="@acme/web">Routing</doc>'));
+    assert.ok(!out.includes("ignored.md"));
+  });
+
+  it("reads pnpm-workspace.yaml", () => {
+    writeDoc("pnpm-workspace.yaml", "packages:\n  - 'apps/*'\n");
+    writeDoc("apps/site/package.json", JSON.stringify({ name: "site" }));
+    writeDoc("apps/site/docs/deploy.md", "---\ndescription: Deploy\n---\n");
+
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(out.includes('<doc path="apps/site/docs/deploy.md" package="site">Deploy</doc>'));
+  });
 });
 
 describe("integration (git-aware)", () => {
@@ -210,6 +554,43 @@ describe("integration (git-aware)", () => {
     assert.ok(!out.includes("vendor/b.md"));
   });
 
+  it("applies .microdocignore to the git listing", () => {
+    writeDoc("docs/.microdocignore", "generated/\n");
+    writeDoc("docs/generated/api.md", "---\ndescription: Generated API\n---\n");
+    execFileSync("git", ["add", "."], { cwd: tmpDir });
+    execFileSync("git", ["commit", "-m", "generated"], { cwd: tmpDir });
+
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(out.includes('path="docs/a.md"'));
+    assert.ok(!out.includes("docs/generated/api.md"));
+  });
+
+  it("includes docs inside initialized submodules", () => {
+    const subRepo = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-sub-"));
+    try {
+      execFileSync("git", ["init"], { cwd: subRepo });
+      execFileSync("git", ["config", "user.email", "test@test.com"], { cwd: subRepo });
+      execFileSync("git", ["config", "user.name", "Test"], { cwd: subRepo });
+      fs.mkdirSync(path.join(subRepo, "docs"));
+      fs.writeFileSync(path.join(subRepo, "docs", "handbook.md"), "---\ndescription: Shared handbook\n---\n");
+      execFileSync("git", ["add", "."], { cwd: subRepo });
+      execFileSync("git", ["commit", "-m", "init"], { cwd: subRepo });
+
+      execFileSync("git", ["-c", "protocol.file.allow=always", "submodule", "add", subRepo, "ext/handbook"], {
+        cwd: tmpDir,
+        stdio: "ignore",
+      });
+
+      const out = runScript({
+        CLAUDE_PROJECT_DIR: tmpDir,
+        CLAUDE_MICRODOC_GLOB: "**/*.md",
+      });
+      assert.ok(out.includes('<doc path="ext/handbook/docs/handbook.md">Shared handbook</doc>'));
+    } finally {
+      fs.rmSync(subRepo, { recursive: true, force: true });
+    }
+  });
+
   it("includes untracked but not ignored files", () => {
     writeDoc("docs/new.md", "---\ndescription: New untracked\n---\n");
 
@@ -220,4 +601,499 @@ describe("integration (git-aware)", () => {
     assert.ok(out.includes('path="docs/new.md"'));
     assert.ok(out.includes("New untracked"));
   });
+
+  it("marks docs whose covered code changed in later commits", () => {
+    writeDoc("docs/ledger.md", "---\ndescription: Ledger design\ncovers:\n  - src/billing/**\n---\n");
+    writeDoc("docs/api.md", "---\ndescription: API notes\n---\nHandlers live in `src/api/routes.js`, docs in `docs/`.\n");
+    writeDoc("src/billing/ledger.js", "v1\n");
+    writeDoc("src/api/routes.js", "v1\n");
+    execFileSync("git", ["add", "."], { cwd: tmpDir });
+    execFileSync("git", ["commit", "-m", "docs"], { cwd: tmpDir });
+    for (const version of ["v2", "v3"]) {
+      writeDoc("src/billing/ledger.js", `${version}\n`);
+      execFileSync("git", ["commit", "-am", version], { cwd: tmpDir });
+    }
+    writeDoc("src/api/routes.js", "v2\n");
+    execFileSync("git", ["commit", "-am", "routes"], { cwd: tmpDir });
+
+    // Code paths in the body only count when asked for
+    assert.ok(runScript({ CLAUDE_PROJECT_DIR: tmpDir }).includes('<doc path="docs/api.md">API notes</doc>'));
+
+    const out = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_BODY_COVERS: "1" });
+    assert.ok(out.includes('<doc path="docs/ledger.md" stale="true" behind="2 commits">Ledger design</doc>'));
+    assert.ok(out.includes('<doc path="docs/api.md" stale="true" behind="1 commit">API notes</doc>'));
+    assert.ok(out.includes("Docs marked stale cover code"));
+
+    const lenient = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_BODY_COVERS: "1", CLAUDE_MICRODOC_STALE_AFTER: "2" });
+    assert.ok(lenient.includes('<doc path="docs/ledger.md" stale="true" behind="2 commits">'));
+    assert.ok(lenient.includes('<doc path="docs/api.md">API notes</doc>'));
+
+    writeDoc("docs/ledger.md", "---\ndescription: Ledger design, revised\ncovers:\n  - src/billing/**\n---\n");
+    execFileSync("git", ["commit", "-am", "refresh ledger doc"], { cwd: tmpDir });
+    assert.ok(runScript({ CLAUDE_PROJECT_DIR: tmpDir }).includes('<doc path="docs/ledger.md">Ledger design, revised</doc>'));
+    // `docs/` holds docs, so the ledger doc's edit does not count against the API notes
+    const guessed = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_BODY_COVERS: "1" });
+    assert.ok(guessed.includes('<doc path="docs/api.md" stale="true" behind="1 commit">API notes</doc>'));
+    assert.ok(!runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_STALE_AFTER: "0" }).includes("stale="));
+  });
+
+  it("shows branch-conditional docs only on matching branches", () => {
+    writeDoc("docs/release.md", "---\ndescription: Release checklist\nwhen:\n  branch: release/*\n---\n");
+    execFileSync("git", ["add", "."], { cwd: tmpDir });
+    execFileSync("git", ["commit", "-m", "release doc"], { cwd: tmpDir });
+    assert.ok(!runScript({ CLAUDE_PROJECT_DIR: tmpDir }).includes("docs/release.md"));
+
+    execFileSync("git", ["checkout", "-q", "-b", "release/1.0"], { cwd: tmpDir });
+    assert.ok(runScript({ CLAUDE_PROJECT_DIR: tmpDir }).includes('<doc path="docs/release.md">Release checklist</doc>'));
+  });
+
+  it("emits a truncated index when the time budget runs out", () => {
+    writeDoc("docs/budget.md", "---\ndescription: Budget\n---\n");
+    const { stdout, stderr, status } = spawnSync("node", [SCRIPT], {
+      env: { PATH: process.env.PATH, CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_TIME_BUDGET: "1" },
+      encoding: "utf-8",
+    });
+    assert.equal(status, 0);
+    assert.ok(stdout.startsWith('<microdoc source="microdoc plugin by Rafael Kallis">'));
+    assert.ok(stdout.endsWith('<truncated reason="timeout"/>\n</microdoc>\n'));
+    assert.match(stderr, /^microdoc: time budget of 1 ms ran out; indexed the \d+ docs read so far\n$/);
+  });
+});
+
+describe("integration (config file)", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-config-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeDoc(relPath, content) {
+    const full = path.join(tmpDir, relPath);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content, "utf-8");
+  }
+
+  function runScript(env = {}, input = "") {
+    return spawnSync("node", [SCRIPT], {
+      env: { PATH: process.env.PATH, ...env },
+      input,
+      encoding: "utf-8",
+    });
+  }
+
+  it("reads globs from .claude/microdoc.json", () => {
+    writeDoc("docs/a.md", "---\ndescription: Doc A\n---\n");
+    writeDoc("notes/b.md", "---\ndescription: Note B\n---\n");
+    writeDoc(".claude/microdoc.json", JSON.stringify({ glob: ["notes/**/*.md"] }));
+
+    const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(stdout.includes('path="notes/b.md"'));
+    assert.ok(!stdout.includes('path="docs/a.md"'));
+    assert.equal(stderr, "");
+  });
+
+  it("lets environment variables override the file", () => {
+    const { stdout } = runScript({
+      CLAUDE_PROJECT_DIR: tmpDir,
+      CLAUDE_MICRODOC_GLOB: "docs/**/*.md",
+    });
+    assert.ok(stdout.includes('path="docs/a.md"'));
+    assert.ok(!stdout.includes('path="notes/b.md"'));
+  });
+
+  it("disables the plugin from the file", () => {
+    writeDoc(".claude/microdoc.json", JSON.stringify({ disabled: true }));
+    const { stdout } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.equal(stdout, "");
+  });
+
+  it("caches parsed docs in the temp dir when enabled", () => {
+    writeDoc(".claude/microdoc.json", JSON.stringify({ cache: true }));
+    const cacheRoot = path.join(tmpDir, ".tmp");
+    fs.mkdirSync(cacheRoot);
+    const env = { CLAUDE_PROJECT_DIR: tmpDir, TMPDIR: cacheRoot };
+
+    const cold = runScript(env);
+    const stateDir = path.join(cacheRoot, `microdoc-${process.getuid()}`);
+    assert.equal(fs.statSync(stateDir).mode & 0o777, 0o700);
+    const [cacheFile] = fs.readdirSync(stateDir);
+    assert.ok(cacheFile.endsWith(".json"));
+    assert.deepEqual(runScript(env).stdout, cold.stdout);
+    assert.ok(cold.stdout.includes('path="docs/a.md"'));
+
+    writeDoc("docs/a.md", "---\ndescription: Doc A, revised\n---\n");
+    assert.ok(runScript(env).stdout.includes("Doc A, revised"));
+
+    // A state dir others can write is not trusted
+    fs.rmSync(path.join(stateDir, cacheFile));
+    fs.chmodSync(stateDir, 0o777);
+    assert.ok(runScript(env).stdout.includes("Doc A, revised"));
+    assert.deepEqual(fs.readdirSync(stateDir), []);
+    fs.chmodSync(stateDir, 0o700);
+  });
+
+  it("reads the instructions template from .claude/microdoc-instructions.md", () => {
+    writeDoc(".claude/microdoc.json", "{}");
+    writeDoc(".claude/microdoc-instructions.md", "{{default}}\nDocs under docs/adr are binding decisions.\n{{count}} docs match {{glob}}.\n");
+    const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.equal(stderr, "");
+    assert.ok(stdout.includes("Read the full doc before proceeding.\nDocs under docs/adr are binding decisions.\n"));
+    assert.match(stdout, /\n\d+ docs match docs\/\*\*\/\*\.\{md,mdc\}\.\n<\/instructions>/);
+  });
+
+  it("reports a missing configured instructions file and keeps the defaults", () => {
+    const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_INSTRUCTIONS: "docs/missing.md" });
+    assert.equal(stderr, "microdoc: docs/missing.md: not found\n");
+    assert.ok(stdout.includes("Markdown docs with YAML frontmatter descriptions are indexed below."));
+    fs.rmSync(path.join(tmpDir, ".claude/microdoc-instructions.md"));
+  });
+
+  it("rejects an unknown format and falls back to XML", () => {
+    writeDoc(".claude/microdoc.json", JSON.stringify({ format: "yaml" }));
+    const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.equal(stderr, 'microdoc: .claude/microdoc.json: "format" must be one of "xml", "markdown", "json"\n');
+    assert.ok(stdout.startsWith("<microdoc "));
+  });
+
+  it("indexes AsciiDoc, reStructuredText, HTML and plain-text docs", () => {
+    writeDoc(".claude/microdoc.json", JSON.stringify({ glob: ["docs/**/*.{md,adoc,rst,html,txt}"] }));
+    writeDoc("docs/ledger.adoc", "= Ledger\n:description: Double-entry ledger.\n:keywords: billing, ledger\n\nBody.\n");
+    writeDoc("docs/deploy.rst", "Deploys\n=======\n\n:description: Staging deploys from main.\n:status: accepted\n");
+    writeDoc("docs/api.html", '<html><head><title>API</title><meta name="description" content="Public REST API &amp; auth."></head></html>');
+    writeDoc("docs/runbook.txt", "Description: Pager runbook.\n\nSteps follow.\n");
+
+    const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.equal(stderr, "");
+    assert.ok(stdout.includes('<doc path="docs/ledger.adoc" title="Ledger" tags="billing,ledger">Double-entry ledger.</doc>'));
+    assert.ok(stdout.includes('<doc path="docs/deploy.rst" title="Deploys" status="accepted">Staging deploys from main.</doc>'));
+    assert.ok(stdout.includes('<doc path="docs/api.html" title="API">Public REST API &amp; auth.</doc>'));
+    assert.ok(stdout.includes('<doc path="docs/runbook.txt">Pager runbook.</doc>'));
+  });
+
+  it("maps extra extensions to extractors from the config file", () => {
+    writeDoc(
+      ".claude/microdoc.json",
+      JSON.stringify({
+        glob: ["docs/**/*.{qmd,org}"],
+        extractors: { qmd: "yaml", ".org": { description: "^#\\+DESCRIPTION:\\s*(.+)$" } },
+      }),
+    );
+    writeDoc("docs/report.qmd", "---\ndescription: Quarterly report\n---\n");
+    writeDoc("docs/notes.org", "#+TITLE: Notes\n#+DESCRIPTION: Org-mode notes\n");
+
+    const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.equal(stderr, "");
+    assert.ok(stdout.includes('<doc path="docs/report.qmd">Quarterly report</doc>'));
+    assert.ok(stdout.includes('<doc path="docs/notes.org">Org-mode notes</doc>'));
+  });
+
+  it("reports invalid extractors and keeps the defaults", () => {
+    writeDoc(".claude/microdoc.json", JSON.stringify({ extractors: { org: "org-mode" } }));
+    const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.equal(
+      stderr,
+      'microdoc: .claude/microdoc.json: "extractors" entry "org" must be one of "yaml", "asciidoc", "rst", "html", "text"\n',
+    );
+    assert.ok(stdout.includes('path="docs/a.md"'));
+  });
+
+  it("relates linked docs both ways and reports broken links", () => {
+    writeDoc(".claude/microdoc.json", "{}");
+    writeDoc("docs/adr/001-db.md", "---\ndescription: Database choice\n---\n");
+    writeDoc(
+      "docs/adr/002-db-v2.md",
+      "---\ndescription: Database revisited\n---\nOverrides [ADR 1](001-db.md#decision); see [notes](/docs/missing.md).\n",
+    );
+    const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.ok(stdout.includes('<doc path="docs/adr/001-db.md" related="docs/adr/002-db-v2.md">Database choice</doc>'));
+    assert.ok(stdout.includes('<doc path="docs/adr/002-db-v2.md" related="docs/adr/001-db.md">Database revisited</doc>'));
+    assert.equal(stderr, "microdoc: docs/adr/002-db-v2.md: broken link to docs/missing.md\n");
+
+    const quiet = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_LINKS: "0" });
+    assert.equal(quiet.stderr, "");
+    assert.ok(!quiet.stdout.includes("related="));
+
+    // Per-turn hooks skip the body read, unless the cache already holds the links
+    const prompt = JSON.stringify({ hook_event_name: "UserPromptSubmit", prompt: "database choice" });
+    const hint = runScript({ CLAUDE_PROJECT_DIR: tmpDir }, prompt);
+    assert.ok(hint.stdout.includes('<doc path="docs/adr/001-db.md">Database choice</doc>'));
+    assert.equal(hint.stderr, "");
+    const cached = { CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_CACHE: "1", TMPDIR: path.join(tmpDir, ".tmp") };
+    runScript(cached);
+    assert.ok(runScript(cached, prompt).stdout.includes('<doc path="docs/adr/001-db.md" related="docs/adr/002-db-v2.md">'));
+    fs.rmSync(path.join(tmpDir, "docs/adr"), { recursive: true });
+  });
+
+  it("indexes extra roots under aliased paths", () => {
+    const handbook = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-handbook-"));
+    try {
+      fs.mkdirSync(path.join(handbook, "conventions"));
+      fs.writeFileSync(path.join(handbook, "conventions/naming.md"), "---\ndescription: Org naming rules\n---\n");
+      writeDoc(".claude/microdoc.json", JSON.stringify({ roots: [{ path: handbook, alias: "handbook" }] }));
+
+      const { stdout, stderr } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+      assert.equal(stderr, "");
+      assert.ok(stdout.includes(`<roots>\n<root alias="handbook" path="${handbook}"/>\n</roots>`));
+      assert.ok(stdout.includes('<doc path="@handbook/conventions/naming.md">Org naming rules</doc>'));
+      assert.ok(stdout.includes('path="docs/a.md"'));
+
+      const fromEnv = runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_ROOTS: `team=${handbook}` });
+      assert.ok(fromEnv.stdout.includes('<doc path="@team/conventions/naming.md">'));
+    } finally {
+      fs.rmSync(handbook, { recursive: true, force: true });
+    }
+  });
+
+  it("prints validation errors to stderr and falls back", () => {
+    writeDoc(".claude/microdoc.json", JSON.stringify({ maxTokens: "many" }));
+    const { stdout, stderr, status } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+    assert.equal(status, 0);
+    assert.equal(stderr, 'microdoc: .claude/microdoc.json: "maxTokens" must be a non-negative integer\n');
+    assert.ok(stdout.includes('path="docs/a.md"'));
+  });
+
+  it("lists the sections of docs over sectionLines", () => {
+    const incidents = ["Database failover", "Queue backlog"].map((name) => `## ${name}\n\n${"Step.\n".repeat(20)}`);
+    writeDoc("docs/runbook.md", `---\ndescription: Incident runbook\n---\n# Runbook\n\n${incidents.join("\n")}`);
+    writeDoc(".claude/microdoc.json", JSON.stringify({ sectionLines: 40 }));
+    try {
+      const { stdout } = runScript({ CLAUDE_PROJECT_DIR: tmpDir });
+      assert.ok(
+        stdout.includes(
+          '<doc path="docs/runbook.md">Incident runbook\n<section heading="Database failover" lines="6-27"/>\n<section heading="Queue backlog" lines="29-50"/>\n</doc>',
+        ),
+      );
+      assert.ok(stdout.includes("Read just the section you need"));
+      assert.ok(!runScript({ CLAUDE_PROJECT_DIR: tmpDir, CLAUDE_MICRODOC_SECTION_LINES: "0" }).stdout.includes("<section"));
+    } finally {
+      fs.rmSync(path.join(tmpDir, "docs/runbook.md"));
+    }
+  });
+});
+
+describe("integration (lint CLI)", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-lint-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeDoc(relPath, content) {
+    const full = path.join(tmpDir, relPath);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content, "utf-8");
+  }
+
+  function runCli(args, env = {}) {
+    return spawnSync("node", [SCRIPT, ...args], {
+      env: { PATH: process.env.PATH, ...env },
+      encoding: "utf-8",
+    });
+  }
+
+  it("exits 0 when every doc is clean", () => {
+    writeDoc("docs/a.md", "---\ndescription: Billing ledger\n---\n");
+    const { stdout, status } = runCli(["lint", tmpDir]);
+    assert.equal(status, 0);
+    assert.equal(stdout, "1 docs, no problems\n");
+  });
+
+  it("uses CLAUDE_PROJECT_DIR when no directory is given", () => {
+    const { stdout, status } = runCli(["lint"], { CLAUDE_PROJECT_DIR: tmpDir });
+    assert.equal(status, 0);
+    assert.equal(stdout, "1 docs, no problems\n");
+  });
+
+  it("exits 1 and lists problems", () => {
+    writeDoc("docs/b.md", "# No frontmatter");
+    writeDoc("docs/c.md", "---\ndescription: Billing ledger\n---\n");
+    const { stdout, status } = runCli(["lint", tmpDir]);
+    assert.equal(status, 1);
+    assert.ok(stdout.includes("docs/b.md: missing-frontmatter: no YAML frontmatter block\n"));
+    assert.ok(stdout.includes("docs/c.md: duplicate-description: same description as docs/a.md\n"));
+    assert.ok(stdout.endsWith("3 problems in 3 of 3 docs\n"));
+  });
+
+  it("prints JSON with --json", () => {
+    const { stdout, status } = runCli(["lint", "--json", tmpDir]);
+    assert.equal(status, 1);
+    const report = JSON.parse(stdout);
+    assert.equal(report.docs, 3);
+    assert.deepEqual(report.problems[0], {
+      path: "docs/a.md",
+      rule: "duplicate-description",
+      message: "same description as docs/c.md",
+    });
+  });
+
+  it("applies --max-words and the maxWords setting", () => {
+    fs.rmSync(path.join(tmpDir, "docs/b.md"));
+    fs.rmSync(path.join(tmpDir, "docs/c.md"));
+    assert.equal(runCli(["lint", "--max-words", "1", tmpDir]).status, 1);
+
+    writeDoc(".claude/microdoc.json", JSON.stringify({ maxWords: 1 }));
+    const { stdout, status } = runCli(["lint", tmpDir]);
+    assert.equal(status, 1);
+    assert.ok(stdout.includes("docs/a.md: long-description: description has 2 words (limit 1)"));
+    assert.equal(runCli(["lint", "--max-words", "0", tmpDir]).status, 0);
+  });
+
+  it("reports links to missing files", () => {
+    writeDoc(".claude/microdoc.json", "{}");
+    writeDoc("docs/d.md", "---\ndescription: Deploys\n---\nSee [ledger](a.md), [gone](./gone.md) and [code](../src/x.js).\n");
+    const { stdout, status } = runCli(["lint", tmpDir]);
+    assert.equal(status, 1);
+    assert.ok(stdout.includes("docs/d.md: broken-link: links to missing docs/gone.md\n"));
+    assert.ok(stdout.includes("docs/d.md: broken-link: links to missing src/x.js\n"));
+
+    writeDoc(".claude/microdoc.json", JSON.stringify({ links: false }));
+    assert.equal(runCli(["lint", tmpDir]).status, 0);
+    fs.rmSync(path.join(tmpDir, "docs/d.md"));
+  });
+
+  it("ignores a link cut by the 16 KiB body limit", () => {
+    writeDoc(".claude/microdoc.json", "{}");
+    const head = "---\ndescription: Long decision\n---\n";
+    writeDoc("docs/long.md", `${head}${"x".repeat(16384 - head.length - 10)}\n[ref]: a.md\n`);
+    assert.equal(runCli(["lint", tmpDir]).status, 0);
+    fs.rmSync(path.join(tmpDir, "docs/long.md"));
+  });
+
+  it("exits 2 on usage errors", () => {
+    const bad = runCli(["lint", "--max-words", "many", tmpDir]);
+    assert.equal(bad.status, 2);
+    assert.equal(bad.stderr, "microdoc: --max-words must be a non-negative integer\n");
+
+    const unknown = runCli(["frobnicate"]);
+    assert.equal(unknown.status, 2);
+    assert.ok(unknown.stderr.startsWith('microdoc: unknown command "frobnicate"\nUsage:'));
+
+    assert.equal(runCli(["lint", "--verbose", tmpDir]).status, 2);
+  });
+
+  it("prints usage for help", () => {
+    const { stdout, status } = runCli(["help"]);
+    assert.equal(status, 0);
+    assert.ok(stdout.startsWith("Usage: microdoc.mjs [command]"));
+  });
+});
+
+describe("integration (explain CLI)", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-explain-"));
+    execFileSync("git", ["init"], { cwd: tmpDir, stdio: "ignore" });
+    for (const [rel, content] of [
+      [".gitignore", "docs/generated/\n"],
+      ["docs/a.md", "---\ndescription: Billing ledger\n---\n"],
+      ["docs/archive/old.md", "---\ndescription: Old\n---\n"],
+      ["docs/generated/api.md", "---\ndescription: API\n---\n"],
+      ["docs/release.md", "---\ndescription: Release\nwhen:\n  env: RELEASE_TRAIN\n---\n"],
+    ]) {
+      fs.mkdirSync(path.dirname(path.join(tmpDir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, rel), content);
+    }
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function explain(rel, env = {}) {
+    return spawnSync("node", [SCRIPT, "explain", rel], {
+      cwd: tmpDir,
+      env: { PATH: process.env.PATH, CLAUDE_MICRODOC_EXCLUDE: "docs/archive/**", ...env },
+      encoding: "utf-8",
+    });
+  }
+
+  it("traces an indexed doc and exits 0", () => {
+    const { stdout, stderr, status } = explain("docs/a.md");
+    assert.equal(status, 0);
+    assert.equal(stdout, "");
+    assert.match(stderr, /^microdoc: discovery in .+: git ls-files listed \d+ files$/m);
+    assert.ok(stderr.includes("microdoc: docs/a.md: matched by docs/**/*.{md,mdc}\n"));
+    assert.ok(stderr.includes('microdoc: docs/a.md: description "Billing ledger"\n'));
+    assert.ok(stderr.endsWith("microdoc: docs/a.md: indexed\n"));
+    assert.ok(!stderr.includes("docs/release.md"));
+  });
+
+  it("says which pattern, ignore file or condition left a doc out, and exits 1", () => {
+    const archived = explain("docs/archive/old.md");
+    assert.equal(archived.status, 1);
+    assert.ok(archived.stderr.includes("microdoc: docs/archive/old.md: rejected by !docs/archive/**\n"));
+    assert.ok(archived.stderr.endsWith("microdoc: docs/archive/old.md: not indexed\n"));
+
+    const generated = explain("docs/generated/api.md");
+    assert.ok(generated.stderr.includes("microdoc: docs/generated/api.md: not listed, ignored by .gitignore\n"));
+    assert.ok(generated.stderr.includes("microdoc: docs/generated/api.md: if listed, it would be matched by docs/**/*.{md,mdc}\n"));
+
+    assert.ok(explain("docs/release.md").stderr.includes("microdoc: docs/release.md: left out, when env: RELEASE_TRAIN not met\n"));
+    assert.equal(explain("docs/release.md", { RELEASE_TRAIN: "1" }).status, 0);
+  });
+
+  it("exits 2 without a path or for a path outside the project", () => {
+    const missing = spawnSync("node", [SCRIPT, "explain"], { env: { PATH: process.env.PATH }, encoding: "utf-8" });
+    assert.equal(missing.status, 2);
+    assert.ok(missing.stderr.startsWith("microdoc: explain takes a path and an optional project dir\nUsage:"));
+    assert.equal(explain(os.tmpdir()).status, 2);
+  });
+
+  it("resolves a relative path against the given project dir", () => {
+    const { stderr, status } = spawnSync("node", [SCRIPT, "explain", "docs/a.md", tmpDir], {
+      cwd: os.tmpdir(),
+      env: { PATH: process.env.PATH },
+      encoding: "utf-8",
+    });
+    assert.equal(status, 0);
+    assert.ok(stderr.endsWith("microdoc: docs/a.md: indexed\n"));
+  });
+});
+
+describe("integration (MCP server)", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-mcp-"));
+    fs.mkdirSync(path.join(tmpDir, "docs"));
+    fs.writeFileSync(
+      path.join(tmpDir, "docs", "runbook.md"),
+      "---\ndescription: Incident runbook\n---\n# Runbook\n\n## Failover\n\nPromote the replica.\n",
+    );
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("answers newline-delimited JSON-RPC on stdio until stdin closes", () => {
+    const messages = [
+      { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-06-18", capabilities: {} } },
+      { jsonrpc: "2.0", method: "notifications/initialized" },
+      { jsonrpc: "2.0", id: 4, method: "tools/call", params: null },
+      { jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "get_doc_section", arguments: { path: "docs/runbook.md", anchor: "failover" } } },
+    ];
+    const { stdout, status } = spawnSync("node", [SCRIPT, "mcp"], {
+      env: { PATH: process.env.PATH, CLAUDE_PROJECT_DIR: tmpDir },
+      input: messages.map((m) => JSON.stringify(m)).join("\n") + "\nnot json\n",
+      encoding: "utf-8",
+      timeout: 10000,
+    });
+    assert.equal(status, 0);
+    const responses = stdout.trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(responses.map((r) => r.id), [1, 4, 2, null]);
+    assert.equal(responses[0].result.protocolVersion, "2025-06-18");
+    assert.equal(responses[1].error.code, -32602);
+    assert.equal(responses[2].result.content[0].text, "## Failover\n\nPromote the replica.");
+    assert.equal(responses[3].error.code, -32700);
+  });
 });
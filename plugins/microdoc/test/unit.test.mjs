@@ -9,10 +9,125 @@ import {
   xmlEscapeAttr,
   SKIP_DIRS,
   readdirRecursive,
+  parseIgnoreLine,
+  parseIgnoreFile,
+  isIgnored,
+  isIgnoredPath,
+  filterIgnoredFiles,
   globToRegex,
+  globMatcher,
   splitGlobs,
   extractStaticPrefix,
+  extractFrontmatter,
+  stripComment,
+  parseQuoted,
+  parseInline,
   extractDescription,
+  extractList,
+  toProjectPath,
+  touchedFile,
+  matchScopedDocs,
+  stem,
+  tokenize,
+  rankDocs,
+  relevantDocs,
+  extractScalar,
+  renderIndex,
+  estimateTokens,
+  firstSentence,
+  rankByPriority,
+  fitIndex,
+  DEFAULT_CONFIG,
+  readConfigFile,
+  loadConfig,
+  docPatterns,
+  resolveDocRef,
+  applyLifecycle,
+  renderDoc,
+  buildGroups,
+  countGroupDocs,
+  parseYamlList,
+  readWorkspacePatterns,
+  findPackages,
+  packageOf,
+  countWords,
+  lintDoc,
+  lintDocs,
+  formatLintReport,
+  readFrontmatterHead,
+  CACHE_VERSION,
+  docCachePath,
+  stateDir,
+  privateStateDir,
+  readDocCache,
+  writeDocCache,
+  loadDocs,
+  createDeadline,
+  MAX_DOC_BYTES,
+  RENDERERS,
+  buildIndexModel,
+  renderScoped,
+  renderRelevant,
+  hookOutput,
+  readInstructionsTemplate,
+  expandInstructions,
+  INDEX_INSTRUCTIONS,
+  parseAsciidocHeader,
+  parseRstHeader,
+  parseHtmlHead,
+  parseTextHeader,
+  EXTRACTORS,
+  extractorFor,
+  readHead,
+  plainText,
+  trimWords,
+  deriveDescription,
+  DERIVED_WORDS,
+  codePaths,
+  pruneGuessedCovers,
+  markStale,
+  HISTORY_DEPTH,
+  resolveLink,
+  markdownLinks,
+  relateDocs,
+  findBrokenLinks,
+  compactDocs,
+  sessionSnapshotPath,
+  readSessionSnapshot,
+  writeSessionSnapshot,
+  pruneSessionFiles,
+  SNAPSHOT_MAX_AGE_MS,
+  scopedRecordPath,
+  readScopedRecord,
+  writeScopedRecord,
+  diffSnapshot,
+  renderDelta,
+  resolveRootDir,
+  resolveDocFile,
+  collectDocs,
+  ROOT_GLOB,
+  slugify,
+  markdownSections,
+  findSection,
+  searchDocs,
+  handleMcpMessage,
+  MCP_TOOLS,
+  MCP_PROTOCOL_VERSIONS,
+  outlineSections,
+  yamlBlock,
+  extractConditions,
+  negatableMatcher,
+  conditionsMet,
+  applyConditions,
+  currentBranch,
+  createDebugLog,
+  timed,
+  explainMatcher,
+  findIgnoreFile,
+  unlistedReason,
+  discoverDocs,
+  missingDescriptionReason,
+  activeDocs,
 } from "../hooks/microdoc.mjs";
 
 describe("xmlEscape", () => {
@@ -106,6 +221,60 @@ describe("globToRegex", () => {
     assert.ok(!re.test("docs/foobar.md"));
   });
 
+  it("matches character classes", () => {
+    const re = globToRegex("docs/[0-9][0-9]*.md");
+    assert.ok(re.test("docs/01-intro.md"));
+    assert.ok(!re.test("docs/intro.md"));
+  });
+
+  it("matches negated character classes with ! and ^", () => {
+    for (const pattern of ["docs/[!a-z]*.md", "docs/[^a-z]*.md"]) {
+      const re = globToRegex(pattern);
+      assert.ok(re.test("docs/1.md"));
+      assert.ok(!re.test("docs/a.md"));
+    }
+  });
+
+  it("never matches a slash with a negated character class", () => {
+    assert.ok(!globToRegex("a[!x]b").test("a/b"));
+  });
+
+  it("treats a leading ] in a class as a member", () => {
+    const re = globToRegex("[]a].md");
+    assert.ok(re.test("].md"));
+    assert.ok(re.test("a.md"));
+  });
+
+  it("treats unclosed bracket as literal", () => {
+    const re = globToRegex("docs/[draft.md");
+    assert.ok(re.test("docs/[draft.md"));
+  });
+
+  it("matches nested brace alternatives", () => {
+    const re = globToRegex("docs/*.{md,{mdc,mdx}}");
+    assert.ok(re.test("docs/a.md"));
+    assert.ok(re.test("docs/a.mdc"));
+    assert.ok(re.test("docs/a.mdx"));
+    assert.ok(!re.test("docs/a.txt"));
+  });
+
+  it("expands wildcards inside brace alternatives", () => {
+    const re = globToRegex("{docs/**/*.md,notes/*.txt}");
+    assert.ok(re.test("docs/a/b.md"));
+    assert.ok(re.test("notes/n.txt"));
+    assert.ok(!re.test("notes/a/n.txt"));
+  });
+
+  it("keeps empty brace alternatives", () => {
+    const re = globToRegex("a{,b}.md");
+    assert.ok(re.test("a.md"));
+    assert.ok(re.test("ab.md"));
+  });
+
+  it("escapes a stray closing brace", () => {
+    assert.ok(globToRegex("a}.md").test("a}.md"));
+  });
+
   it("handles the default glob pattern", () => {
     const re = globToRegex("docs/**/*.{md,mdc}");
     assert.ok(re.test("docs/arch/decisions.md"));
@@ -114,6 +283,42 @@ describe("globToRegex", () => {
   });
 });
 
+describe("globMatcher", () => {
+  it("matches any include pattern", () => {
+    const matches = globMatcher(["docs/**/*.md", "notes/*.md"]);
+    assert.ok(matches("docs/a/b.md"));
+    assert.ok(matches("notes/n.md"));
+    assert.ok(!matches("src/a.md"));
+  });
+
+  it("lets negated patterns exclude matches", () => {
+    const matches = globMatcher(["docs/**/*.md", "!docs/archive/**"]);
+    assert.ok(matches("docs/current.md"));
+    assert.ok(!matches("docs/archive/001-old.md"));
+  });
+
+  it("matches nothing without include patterns", () => {
+    assert.ok(!globMatcher(["!docs/**"])("docs/a.md"));
+    assert.ok(!globMatcher([])("docs/a.md"));
+  });
+});
+
+describe("explainMatcher", () => {
+  const explain = explainMatcher(["docs/**/*.md", "notes/*.md", "!docs/archive/**"]);
+
+  it("names the first include that matches", () => {
+    assert.deepEqual(explain("notes/n.md"), { matched: true, pattern: "notes/*.md" });
+  });
+
+  it("names the negation that rejects a match", () => {
+    assert.deepEqual(explain("docs/archive/old.md"), { matched: false, pattern: "!docs/archive/**" });
+  });
+
+  it("has no pattern when no include matches", () => {
+    assert.deepEqual(explain("src/a.md"), { matched: false, pattern: null });
+  });
+});
+
 describe("splitGlobs", () => {
   it("returns single pattern", () => {
     assert.deepEqual(splitGlobs("docs/**/*.md"), ["docs/**/*.md"]);
@@ -172,6 +377,99 @@ describe("extractStaticPrefix", () => {
   });
 });
 
+describe("extractFrontmatter", () => {
+  it("returns the block between the delimiters", () => {
+    assert.equal(extractFrontmatter("---\ntitle: T\n---\nbody"), "title: T");
+  });
+
+  it("returns empty string for empty frontmatter", () => {
+    assert.equal(extractFrontmatter("---\n\n---\nbody"), "");
+  });
+
+  it("returns null without opening delimiter", () => {
+    assert.equal(extractFrontmatter("# Hello"), null);
+  });
+
+  it("returns null without closing delimiter", () => {
+    assert.equal(extractFrontmatter("---\ntitle: T\n"), null);
+  });
+
+  it("returns empty string when the closer follows the opener", () => {
+    assert.equal(extractFrontmatter("---\n---\nbody"), "");
+  });
+
+  it("normalizes CRLF line endings", () => {
+    assert.equal(extractFrontmatter("---\r\na: 1\r\nb: 2\r\n---\r\nbody"), "a: 1\nb: 2");
+  });
+
+  it("skips a UTF-8 BOM", () => {
+    assert.equal(extractFrontmatter("\uFEFF---\ntitle: T\n---\n"), "title: T");
+  });
+
+  it("accepts delimiters with trailing spaces", () => {
+    assert.equal(extractFrontmatter("--- \ntitle: T\n---  \nbody"), "title: T");
+  });
+
+  it("does not close on a longer dash line", () => {
+    assert.equal(extractFrontmatter("---\ntitle: T\n-----\n"), null);
+  });
+});
+
+describe("stripComment", () => {
+  it("removes a trailing comment", () => {
+    assert.equal(stripComment("value # note"), "value");
+  });
+
+  it("removes a whole-line comment", () => {
+    assert.equal(stripComment("# note"), "");
+  });
+
+  it("keeps a hash that is not preceded by whitespace", () => {
+    assert.equal(stripComment("C# and F#"), "C# and F#");
+  });
+});
+
+describe("parseQuoted", () => {
+  it("parses a double-quoted string and returns the rest", () => {
+    assert.deepEqual(parseQuoted('"a b" # c'), { value: "a b", rest: " # c" });
+  });
+
+  it("unescapes double-quoted escapes", () => {
+    assert.equal(parseQuoted('"say \\"hi\\"\\tnow\\\\"').value, 'say "hi"\tnow\\');
+  });
+
+  it("unescapes unicode escapes", () => {
+    assert.equal(parseQuoted('"caf\\u00e9"').value, "café");
+  });
+
+  it("unescapes doubled single quotes", () => {
+    assert.equal(parseQuoted("'it''s here'").value, "it's here");
+  });
+
+  it("keeps backslashes in single-quoted strings", () => {
+    assert.equal(parseQuoted("'C:\\docs'").value, "C:\\docs");
+  });
+
+  it("returns null when unterminated", () => {
+    assert.equal(parseQuoted('"open'), null);
+    assert.equal(parseQuoted("'open"), null);
+  });
+});
+
+describe("parseInline", () => {
+  it("unquotes quoted values", () => {
+    assert.equal(parseInline(" 'b/*.js' "), "b/*.js");
+  });
+
+  it("strips comments from plain values", () => {
+    assert.equal(parseInline("src/** # billing"), "src/**");
+  });
+
+  it("keeps mismatched quotes as plain text", () => {
+    assert.equal(parseInline("\"a b'"), "\"a b'");
+  });
+});
+
 describe("extractDescription", () => {
   it("returns null for content without frontmatter", () => {
     assert.equal(extractDescription("# Hello"), null);
@@ -257,6 +555,103 @@ describe("extractDescription", () => {
     );
   });
 
+  it("extracts description from CRLF frontmatter", () => {
+    assert.equal(
+      extractDescription("---\r\ndescription: Windows doc\r\n---\r\n# Body"),
+      "Windows doc",
+    );
+  });
+
+  it("extracts description after a BOM", () => {
+    assert.equal(extractDescription("\uFEFF---\ndescription: BOM doc\n---"), "BOM doc");
+  });
+
+  it("extracts description when the closer has trailing spaces", () => {
+    assert.equal(extractDescription("---\ndescription: D\n---   \nbody"), "D");
+  });
+
+  it("unescapes quotes in double-quoted strings", () => {
+    assert.equal(
+      extractDescription('---\ndescription: "The \\"ledger\\" model"\n---'),
+      'The "ledger" model',
+    );
+  });
+
+  it("unescapes doubled quotes in single-quoted strings", () => {
+    assert.equal(
+      extractDescription("---\ndescription: 'Rafael''s plugin'\n---"),
+      "Rafael's plugin",
+    );
+  });
+
+  it("ignores a comment after a quoted string", () => {
+    assert.equal(
+      extractDescription('---\ndescription: "quoted" # trailing\n---'),
+      "quoted",
+    );
+  });
+
+  it("folds a quoted string across lines", () => {
+    assert.equal(
+      extractDescription('---\ndescription: "line one\n  line two"\n---'),
+      "line one line two",
+    );
+  });
+
+  it("returns null for an unterminated quoted string", () => {
+    assert.equal(extractDescription('---\ndescription: "open\ntitle: T\n---'), null);
+  });
+
+  it("strips a trailing comment from an inline value", () => {
+    assert.equal(
+      extractDescription("---\ndescription: Billing ledger # TODO shorten\n---"),
+      "Billing ledger",
+    );
+  });
+
+  it("keeps a hash inside a word", () => {
+    assert.equal(extractDescription("---\ndescription: C# services\n---"), "C# services");
+  });
+
+  it("joins a plain scalar continued on indented lines", () => {
+    assert.equal(
+      extractDescription("---\ndescription: Billing ledger.\n  Double-entry postings.\ntitle: T\n---"),
+      "Billing ledger. Double-entry postings.",
+    );
+  });
+
+  it("reads a plain scalar that starts on the next line", () => {
+    assert.equal(
+      extractDescription("---\ndescription:\n  Billing ledger.\n---"),
+      "Billing ledger.",
+    );
+  });
+
+  it("stops a plain scalar at a comment line", () => {
+    assert.equal(
+      extractDescription("---\ndescription: one\n  # note\n  two\n---"),
+      "one",
+    );
+  });
+
+  it("returns null for a comment-only value", () => {
+    assert.equal(extractDescription("---\ndescription: # none yet\n---"), null);
+  });
+
+  it("handles block scalar with a trailing comment", () => {
+    assert.equal(
+      extractDescription("---\ndescription: > # folded\n  a\n  b\n---"),
+      "a b",
+    );
+  });
+
+  it("handles block scalar with an indentation indicator", () => {
+    assert.equal(
+      extractDescription("---\ndescription: |2-\n  text\n---"),
+      "text",
+    );
+  });
+
   it("extracts description that is not the first field", () => {
     assert.equal(
       extractDescription("---\ntitle: T\ndescription: D\n---"),
@@ -265,28 +660,2478 @@ describe("extractDescription", () => {
   });
 });
 
-describe("readdirRecursive", () => {
-  let tmpDir;
+describe("extractScalar", () => {
+  it("extracts an arbitrary key", () => {
+    assert.equal(extractScalar("---\ndescription: D\npriority: 5\n---", "priority"), "5");
+  });
 
-  before(() => {
-    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-unit-"));
-    // Create regular files
-    fs.mkdirSync(path.join(tmpDir, "docs"), { recursive: true });
-    fs.writeFileSync(path.join(tmpDir, "docs", "a.md"), "hello");
-    // Create files in directories that should be skipped
-    for (const dir of SKIP_DIRS) {
-      fs.mkdirSync(path.join(tmpDir, dir, "sub"), { recursive: true });
-      fs.writeFileSync(path.join(tmpDir, dir, "sub", "file.md"), "skip me");
+  it("does not match keys sharing a prefix", () => {
+    assert.equal(extractScalar("---\npriority_hint: 5\n---", "priority"), null);
+  });
+
+  it("returns null without frontmatter", () => {
+    assert.equal(extractScalar("priority: 5", "priority"), null);
+  });
+});
+
+describe("extractList", () => {
+  it("returns empty array without frontmatter", () => {
+    assert.deepEqual(extractList("# Hello", "paths"), []);
+  });
+
+  it("returns empty array when key is missing", () => {
+    assert.deepEqual(extractList("---\ntitle: T\n---", "paths"), []);
+  });
+
+  it("extracts a block sequence", () => {
+    assert.deepEqual(
+      extractList("---\npaths:\n  - src/billing/**\n  - \"lib/*.js\"\n---", "paths"),
+      ["src/billing/**", "lib/*.js"],
+    );
+  });
+
+  it("stops a block sequence at the next key", () => {
+    assert.deepEqual(
+      extractList("---\npaths:\n  - a/**\ndescription: D\n---", "paths"),
+      ["a/**"],
+    );
+  });
+
+  it("extracts a flow sequence", () => {
+    assert.deepEqual(extractList("---\npaths: [a/**, 'b/*.js']\n---", "paths"), ["a/**", "b/*.js"]);
+  });
+
+  it("keeps commas inside braces in a flow sequence", () => {
+    assert.deepEqual(extractList("---\npaths: [src/*.{js,ts}]\n---", "paths"), ["src/*.{js,ts}"]);
+  });
+
+  it("treats an inline scalar as a single item", () => {
+    assert.deepEqual(extractList("---\npaths: src/**\n---", "paths"), ["src/**"]);
+  });
+
+  it("does not match keys sharing a prefix", () => {
+    assert.deepEqual(extractList("---\npathsx: a\n---", "paths"), []);
+  });
+
+  it("strips comments from items and skips comment lines", () => {
+    assert.deepEqual(
+      extractList("---\npaths: # scoped files\n  # billing\n  - src/billing/** # core\n---", "paths"),
+      ["src/billing/**"],
+    );
+  });
+
+  it("strips a comment after a flow sequence", () => {
+    assert.deepEqual(extractList("---\npaths: [a/**] # note\n---", "paths"), ["a/**"]);
+  });
+
+  it("reads lists from CRLF frontmatter", () => {
+    assert.deepEqual(extractList("---\r\npaths:\r\n  - a/**\r\n---\r\n", "paths"), ["a/**"]);
+  });
+});
+
+describe("parseYamlList", () => {
+  it("reads a block sequence from plain YAML", () => {
+    assert.deepEqual(
+      parseYamlList("packages:\n  - 'packages/*'\n  - apps/*\n  - '!**/test/**'\n", "packages"),
+      ["packages/*", "apps/*", "!**/test/**"],
+    );
+  });
+
+  it("handles CRLF line endings", () => {
+    assert.deepEqual(parseYamlList("packages:\r\n  - a/*\r\n", "packages"), ["a/*"]);
+  });
+
+  it("returns empty array when key is missing", () => {
+    assert.deepEqual(parseYamlList("other: x\n", "packages"), []);
+  });
+});
+
+describe("toProjectPath", () => {
+  it("relativizes absolute paths inside the project", () => {
+    assert.equal(toProjectPath("/proj", "/proj/src/a.js"), "src/a.js");
+  });
+
+  it("resolves relative paths against the project", () => {
+    assert.equal(toProjectPath("/proj", "src/a.js"), "src/a.js");
+  });
+
+  it("returns null for paths outside the project", () => {
+    assert.equal(toProjectPath("/proj", "/other/a.js"), null);
+  });
+
+  it("returns null for the project directory itself", () => {
+    assert.equal(toProjectPath("/proj", "/proj"), null);
+  });
+});
+
+describe("touchedFile", () => {
+  it("reads file_path or notebook_path from the tool input", () => {
+    assert.equal(touchedFile("/proj", { tool_input: { file_path: "/proj/src/a.js" } }), "src/a.js");
+    assert.equal(touchedFile("/proj", { tool_input: { notebook_path: "/proj/nb.ipynb" } }), "nb.ipynb");
+  });
+
+  it("returns null without a path or outside the project", () => {
+    assert.equal(touchedFile("/proj", {}), null);
+    assert.equal(touchedFile("/proj", { tool_input: { command: "ls" } }), null);
+    assert.equal(touchedFile("/proj", { tool_input: { file_path: 42 } }), null);
+    assert.equal(touchedFile("/proj", { tool_input: { file_path: "/other/a.js" } }), null);
+  });
+});
+
+describe("matchScopedDocs", () => {
+  const docs = [
+    { path: "docs/billing.md", description: "Billing", paths: ["src/billing/**"] },
+    { path: "docs/api.md", description: "API", paths: ["src/api/*.js", "src/billing/api.js"] },
+    { path: "docs/misc.md", description: "Misc", paths: [] },
+  ];
+
+  it("returns docs whose paths match the file", () => {
+    assert.deepEqual(
+      matchScopedDocs(docs, "src/billing/api.js").map((d) => d.path),
+      ["docs/billing.md", "docs/api.md"],
+    );
+  });
+
+  it("returns empty array when nothing matches", () => {
+    assert.deepEqual(matchScopedDocs(docs, "README.md"), []);
+  });
+
+  it("honors negated paths", () => {
+    const negated = [{ path: "docs/billing.md", description: "B", paths: ["src/billing/**", "!src/billing/legacy/**"] }];
+    assert.equal(matchScopedDocs(negated, "src/billing/a.js").length, 1);
+    assert.equal(matchScopedDocs(negated, "src/billing/legacy/a.js").length, 0);
+  });
+
+  it("does not match a doc against itself", () => {
+    const self = [{ path: "docs/a.md", description: "A", paths: ["docs/**"] }];
+    assert.deepEqual(matchScopedDocs(self, "docs/a.md"), []);
+  });
+});
+
+describe("stem", () => {
+  it("strips common suffixes", () => {
+    assert.equal(stem("testing"), "test");
+    assert.equal(stem("tested"), "test");
+    assert.equal(stem("endpoints"), "endpoint");
+  });
+
+  it("keeps at least three characters", () => {
+    assert.equal(stem("uses"), "use");
+    assert.equal(stem("bus"), "bus");
+  });
+});
+
+describe("tokenize", () => {
+  it("lowercases and splits on non-alphanumerics", () => {
+    assert.deepEqual(tokenize("REST-API endpoints/v2"), ["rest", "api", "endpoint", "v2"]);
+  });
+
+  it("drops stopwords and single characters", () => {
+    assert.deepEqual(tokenize("how do I fix a bug in the parser"), ["fix", "bug", "parser"]);
+  });
+
+  it("keeps numbers of any length without leading zeros", () => {
+    assert.deepEqual(tokenize("ADR 7 and docs/adr/007-db.md"), ["adr", "7", "doc", "adr", "7", "db", "md"]);
+  });
+
+  it("returns empty array for empty string", () => {
+    assert.deepEqual(tokenize(""), []);
+  });
+});
+
+describe("rankDocs", () => {
+  const docs = [
+    { path: "docs/billing-ledger.md", description: "Billing ledger. Double-entry postings, invoices." },
+    { path: "docs/api.md", description: "REST API endpoints and authentication." },
+    { path: "docs/testing.md", description: "Testing strategy. Unit and integration tests." },
+    { path: "docs/empty.md", description: null },
+  ];
+
+  it("ranks the best lexical match first", () => {
+    const ranked = rankDocs(docs, "Add a new endpoint to the API");
+    assert.equal(ranked[0].doc.path, "docs/api.md");
+  });
+
+  it("matches words in the doc path", () => {
+    const ranked = rankDocs(docs, "fix the ledger rounding");
+    assert.deepEqual(ranked.map((r) => r.doc.path), ["docs/billing-ledger.md"]);
+  });
+
+  it("omits docs with no overlapping terms", () => {
+    assert.deepEqual(rankDocs(docs, "deploy kubernetes"), []);
+  });
+
+  it("returns empty array for a stopword-only prompt", () => {
+    assert.deepEqual(rankDocs(docs, "what is this"), []);
+  });
+
+  it("sorts by descending score", () => {
+    const ranked = rankDocs(docs, "integration tests for the billing invoices");
+    for (let i = 1; i < ranked.length; i++) {
+      assert.ok(ranked[i - 1].score >= ranked[i].score);
     }
   });
 
-  after(() => {
-    fs.rmSync(tmpDir, { recursive: true, force: true });
+  it("ignores terms every doc shares and the file extension", () => {
+    assert.deepEqual(rankDocs(docs, "update the docs please"), []);
+    assert.deepEqual(rankDocs(docs, "fix md rendering"), []);
   });
 
-  it("skips directories in SKIP_DIRS", () => {
-    const files = readdirRecursive(tmpDir);
-    const relFiles = files.map((f) => path.relative(tmpDir, f));
-    assert.deepEqual(relFiles, ["docs/a.md"]);
+  it("matches numbered docs by number", () => {
+    const adrs = [
+      { path: "docs/adr/007-postgres.md", description: "Database choice" },
+      { path: "docs/adr/012-queue.md", description: "Queue choice" },
+    ];
+    assert.deepEqual(rankDocs(adrs, "what did ADR 7 decide").map((r) => r.doc.path), ["docs/adr/007-postgres.md"]);
+  });
+
+  it("ranks other text when given an accessor", () => {
+    const ranked = rankDocs(docs, "rounding", { text: (doc) => (doc.path === "docs/api.md" ? "rounding rules" : "") });
+    assert.deepEqual(ranked.map((r) => r.doc.path), ["docs/api.md"]);
+  });
+});
+
+describe("relevantDocs", () => {
+  const docs = Array.from({ length: 10 }, (_, i) => ({
+    path: i === 0 ? "README.md" : `docs/topic-${i}.md`,
+    description: i === 3 ? "Billing ledger" : `Topic ${i}`,
+  }));
+
+  it("names strong matches, up to RELEVANT_LIMIT", () => {
+    assert.deepEqual(relevantDocs(docs, "fix the billing rounding").map((d) => d.path), ["docs/topic-3.md"]);
+  });
+
+  it("ignores matches on words most docs share", () => {
+    assert.ok(rankDocs(docs, "update the docs").length > 0);
+    assert.deepEqual(relevantDocs(docs, "update the docs"), []);
+  });
+});
+
+describe("estimateTokens", () => {
+  it("estimates four characters per token", () => {
+    assert.equal(estimateTokens("abcdefgh"), 2);
+  });
+
+  it("rounds up", () => {
+    assert.equal(estimateTokens("abcde"), 2);
+  });
+});
+
+describe("firstSentence", () => {
+  it("returns text up to the first period", () => {
+    assert.equal(firstSentence("Billing ledger. Double-entry postings."), "Billing ledger.");
+  });
+
+  it("ignores periods inside words", () => {
+    assert.equal(firstSentence("Uses v1.2 API. More."), "Uses v1.2 API.");
+  });
+
+  it("returns whole text without a period", () => {
+    assert.equal(firstSentence("no period here"), "no period here");
+  });
+});
+
+describe("rankByPriority", () => {
+  it("orders by priority, then path depth, then path", () => {
+    const docs = [
+      { path: "docs/a/b/deep.md", priority: 0 },
+      { path: "docs/top.md", priority: 0 },
+      { path: "docs/a/nested.md", priority: 0 },
+      { path: "docs/a/b/important.md", priority: 10 },
+      { path: "docs/also-top.md" },
+    ];
+    assert.deepEqual(rankByPriority(docs).map((d) => d.path), [
+      "docs/a/b/important.md",
+      "docs/also-top.md",
+      "docs/top.md",
+      "docs/a/nested.md",
+      "docs/a/b/deep.md",
+    ]);
+  });
+
+  it("does not mutate the input", () => {
+    const docs = [{ path: "b/c.md" }, { path: "a.md" }];
+    rankByPriority(docs);
+    assert.equal(docs[0].path, "b/c.md");
+  });
+});
+
+describe("fitIndex", () => {
+  const docs = [
+    { path: "docs/a.md", description: "Alpha topic. " + "filler ".repeat(20), priority: 0 },
+    { path: "docs/b.md", description: "Beta topic. " + "filler ".repeat(20), priority: 5 },
+    { path: "docs/sub/c.md", description: "Gamma topic. " + "filler ".repeat(20), priority: 0 },
+  ];
+  const glob = "docs/**/*.md";
+
+  it("renders everything when under budget", () => {
+    assert.equal(fitIndex(docs, 10000, { glob }), renderIndex(docs));
+  });
+
+  it("shortens lowest-ranked descriptions first", () => {
+    const full = estimateTokens(renderIndex(docs));
+    const out = fitIndex(docs, full - 30, { glob });
+    assert.ok(out.includes('<doc path="docs/sub/c.md">Gamma topic.</doc>'));
+    assert.ok(out.includes("Beta topic. filler"));
+    assert.ok(!out.includes("<omitted"));
+  });
+
+  it("drops lowest-ranked docs and reports them as omitted", () => {
+    const out = fitIndex(docs, 130, { glob });
+    assert.ok(estimateTokens(out) <= 130);
+    assert.ok(out.includes('path="docs/b.md"'));
+    assert.ok(!out.includes('path="docs/sub/c.md"'));
+    assert.ok(out.includes('<omitted count="'));
+    assert.ok(out.includes('glob="docs/**/*.md"'));
+  });
+
+  it("drops section lists along with shortening descriptions", () => {
+    const sections = [...Array(10).keys()].map((i) => ({ heading: `Section ${i}`, start: i * 10 + 1, end: i * 10 + 9 }));
+    const outlined = [{ ...docs[0], sections }, docs[1]];
+    const full = estimateTokens(renderIndex(outlined));
+    const out = fitIndex(outlined, full - 60, { glob });
+    assert.ok(!out.includes("<section"));
+    assert.ok(out.includes('path="docs/a.md"'));
+    assert.ok(!out.includes("<omitted"));
+  });
+
+  it("counts group wrappers against the budget", () => {
+    const nested = [...Array(6).keys()].map((i) => ({ path: `docs/g${i}/d.md`, description: "Topic. filler" }));
+    const out = fitIndex(nested, 150, { glob, layout: "grouped" });
+    assert.ok(estimateTokens(out) <= 150);
+    assert.ok(out.includes("<omitted"));
+  });
+
+  it("does not mutate the input docs", () => {
+    fitIndex(docs, 100, { glob });
+    assert.ok(docs[0].description.includes("filler"));
+  });
+});
+
+describe("readdirRecursive", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-unit-"));
+    // Create regular files
+    fs.mkdirSync(path.join(tmpDir, "docs"), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, "docs", "a.md"), "hello");
+    // Create files in directories that should be skipped
+    for (const dir of SKIP_DIRS) {
+      fs.mkdirSync(path.join(tmpDir, dir, "sub"), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, dir, "sub", "file.md"), "skip me");
+    }
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("skips directories in SKIP_DIRS", () => {
+    const files = readdirRecursive(tmpDir);
+    const relFiles = files.map((f) => path.relative(tmpDir, f));
+    assert.deepEqual(relFiles, ["docs/a.md"]);
+  });
+
+  it("stops walking once the deadline expires", () => {
+    const deadline = createDeadline(1, () => Infinity);
+    assert.deepEqual(readdirRecursive(tmpDir, deadline), []);
+    assert.equal(deadline.tripped(), true);
+  });
+
+  it("takes a custom skip list", () => {
+    const files = readdirRecursive(tmpDir, undefined, { skipDirs: ["docs", ".git"] });
+    const relFiles = files.map((f) => path.relative(tmpDir, f)).sort();
+    assert.ok(!relFiles.includes("docs/a.md"));
+    assert.ok(relFiles.includes("node_modules/sub/file.md"));
+  });
+
+  it("applies ignore files from the root down to the start directory", () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-unit-"));
+    try {
+      fs.mkdirSync(path.join(root, "docs", "out"), { recursive: true });
+      fs.writeFileSync(path.join(root, ".ignore"), "out/\n");
+      fs.writeFileSync(path.join(root, "docs", "a.md"), "");
+      fs.writeFileSync(path.join(root, "docs", "out", "b.md"), "");
+      const start = path.join(root, "docs");
+      assert.deepEqual(readdirRecursive(start, undefined, { root }), [path.join(start, "a.md")]);
+      assert.equal(readdirRecursive(start).length, 2);
+      assert.deepEqual(readdirRecursive(path.join(start, "out"), undefined, { root }), []);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it("follows symlinks and walks each directory once", () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-unit-"));
+    try {
+      fs.mkdirSync(path.join(root, "docs"));
+      fs.writeFileSync(path.join(root, "docs", "a.md"), "");
+      fs.symlinkSync(path.join(root, "docs"), path.join(root, "docs", "self"));
+      fs.symlinkSync(path.join(root, "docs", "a.md"), path.join(root, "docs", "alias.md"));
+      fs.symlinkSync(path.join(root, "missing"), path.join(root, "docs", "dangling.md"));
+      fs.symlinkSync("loop", path.join(root, "docs", "loop"));
+      const files = readdirRecursive(root).map((f) => path.relative(root, f)).sort();
+      assert.deepEqual(files, ["docs/a.md", "docs/alias.md"]);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("parseIgnoreLine", () => {
+  it("skips blanks and comments", () => {
+    assert.equal(parseIgnoreLine(""), null);
+    assert.equal(parseIgnoreLine("   "), null);
+    assert.equal(parseIgnoreLine("# vendored"), null);
+  });
+
+  it("reads negation, directory-only and escaped patterns", () => {
+    assert.equal(parseIgnoreLine("!keep.md").negate, true);
+    assert.equal(parseIgnoreLine("build/").dirOnly, true);
+    const hash = parseIgnoreLine("\\#notes.md");
+    assert.equal(hash.negate, false);
+    assert.ok(hash.regex.test("#notes.md"));
+    assert.ok(parseIgnoreLine("\\!bang.md").regex.test("!bang.md"));
+  });
+
+  it("matches unanchored patterns at any depth", () => {
+    const rule = parseIgnoreLine("*.gen.md");
+    assert.ok(rule.regex.test("a.gen.md"));
+    assert.ok(rule.regex.test("docs/api/a.gen.md"));
+  });
+
+  it("anchors patterns containing a slash", () => {
+    const rule = parseIgnoreLine("/drafts");
+    assert.ok(rule.regex.test("drafts"));
+    assert.ok(!rule.regex.test("docs/drafts"));
+    assert.ok(parseIgnoreLine("docs/*.md").regex.test("docs/a.md"));
+    assert.ok(!parseIgnoreLine("docs/*.md").regex.test("x/docs/a.md"));
+  });
+
+  it("records the ignore file's directory", () => {
+    assert.equal(parseIgnoreLine("*.md", "docs").base, "docs");
+  });
+});
+
+describe("isIgnored", () => {
+  it("lets the last matching rule win", () => {
+    const rules = parseIgnoreFile("drafts/*\n!drafts/keep.md\n");
+    assert.equal(isIgnored(rules, "drafts/wip.md"), true);
+    assert.equal(isIgnored(rules, "drafts/keep.md"), false);
+    assert.equal(isIgnored(rules, "other.md"), false);
+  });
+
+  it("applies directory-only rules to directories", () => {
+    const rules = parseIgnoreFile("out/\n");
+    assert.equal(isIgnored(rules, "out", true), true);
+    assert.equal(isIgnored(rules, "out"), false);
+  });
+
+  it("scopes rules to the ignore file's directory", () => {
+    const rules = [...parseIgnoreFile("*.md\n", "docs/api"), ...parseIgnoreFile("!index.md\n", "docs/api/v2")];
+    assert.equal(isIgnored(rules, "docs/api/a.md"), true);
+    assert.equal(isIgnored(rules, "docs/guide.md"), false);
+    assert.equal(isIgnored(rules, "docs/api/v2/index.md"), false);
+  });
+});
+
+describe("isIgnoredPath", () => {
+  it("does not re-include files inside an ignored directory", () => {
+    const rules = parseIgnoreFile("vendor/\n!vendor/keep.md\n");
+    assert.equal(isIgnoredPath(rules, "vendor/keep.md"), true);
+    assert.equal(isIgnoredPath(rules, "docs/vendor.md"), false);
+  });
+});
+
+describe("filterIgnoredFiles", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-unit-"));
+    fs.mkdirSync(path.join(tmpDir, "docs"));
+    fs.writeFileSync(path.join(tmpDir, ".microdocignore"), "*.gen.md\n");
+    fs.writeFileSync(path.join(tmpDir, "docs", ".ignore"), "!keep.gen.md\n");
+    fs.writeFileSync(path.join(tmpDir, "docs", ".microdocignore"), "keep.gen.md\n");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("applies tool ignore files, deeper and later ones last", () => {
+    const files = [".microdocignore", "docs/.ignore", "docs/.microdocignore", "docs/a.md", "docs/a.gen.md", "docs/keep.gen.md"];
+    assert.deepEqual(filterIgnoredFiles(tmpDir, files), [".microdocignore", "docs/.ignore", "docs/.microdocignore", "docs/a.md"]);
+  });
+
+  it("returns the listing unchanged without ignore files", () => {
+    const files = ["docs/a.gen.md"];
+    assert.equal(filterIgnoredFiles(tmpDir, files), files);
+  });
+});
+
+describe("findIgnoreFile", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-unit-"));
+    fs.mkdirSync(path.join(tmpDir, "docs", "drafts"), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, ".gitignore"), "drafts/\n*.tmp.md\n");
+    fs.writeFileSync(path.join(tmpDir, "docs", ".microdocignore"), "!keep.tmp.md\nold.md\n");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("names the ignore file whose rule decides", () => {
+    assert.equal(findIgnoreFile(tmpDir, "docs/drafts/wip.md"), ".gitignore");
+    assert.equal(findIgnoreFile(tmpDir, "docs/a.tmp.md"), ".gitignore");
+    assert.equal(findIgnoreFile(tmpDir, "docs/old.md"), "docs/.microdocignore");
+  });
+
+  it("returns null for files nothing ignores, or that a later rule re-includes", () => {
+    assert.equal(findIgnoreFile(tmpDir, "docs/a.md"), null);
+    assert.equal(findIgnoreFile(tmpDir, "docs/keep.tmp.md"), null);
+  });
+
+  it("explains why the listing left a file out", () => {
+    fs.mkdirSync(path.join(tmpDir, "vendor", "node_modules"), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, "vendor", "node_modules", "x.md"), "");
+    fs.writeFileSync(path.join(tmpDir, "notes.md"), "");
+    fs.writeFileSync(path.join(tmpDir, "docs", "old.md"), "");
+    const patterns = ["docs/**/*.md"];
+    assert.equal(unlistedReason(tmpDir, "docs/gone.md", patterns), "no such file");
+    assert.equal(unlistedReason(tmpDir, "docs/drafts", patterns), "not a file");
+    assert.equal(unlistedReason(tmpDir, "docs/old.md", patterns), "ignored by docs/.microdocignore");
+    assert.equal(
+      unlistedReason(tmpDir, "vendor/node_modules/x.md", patterns),
+      "inside node_modules/, which the filesystem walk skips (skipDirs)",
+    );
+    assert.equal(unlistedReason(tmpDir, "notes.md", patterns), "outside docs, the only directories the filesystem walk enters");
+  });
+});
+
+describe("readConfigFile", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-config-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("returns null when no config exists", () => {
+    assert.equal(readConfigFile(tmpDir), null);
+  });
+
+  it("reads the microdoc key from package.json", () => {
+    fs.writeFileSync(path.join(tmpDir, "package.json"), JSON.stringify({ microdoc: { maxTokens: 10 } }));
+    assert.deepEqual(readConfigFile(tmpDir), { source: "package.json#microdoc", raw: { maxTokens: 10 } });
+  });
+
+  it("prefers .claude/microdoc.json over package.json", () => {
+    fs.mkdirSync(path.join(tmpDir, ".claude"), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, ".claude", "microdoc.json"), JSON.stringify({ maxTokens: 20 }));
+    assert.deepEqual(readConfigFile(tmpDir), { source: ".claude/microdoc.json", raw: { maxTokens: 20 } });
+  });
+
+  it("throws with the source on malformed JSON", () => {
+    fs.writeFileSync(path.join(tmpDir, ".claude", "microdoc.json"), "{ nope");
+    assert.throws(() => readConfigFile(tmpDir), /^Error: \.claude\/microdoc\.json: /);
+  });
+});
+
+describe("loadConfig", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-config-"));
+    fs.mkdirSync(path.join(tmpDir, ".claude"), { recursive: true });
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeConfig(config) {
+    fs.writeFileSync(path.join(tmpDir, ".claude", "microdoc.json"), JSON.stringify(config));
+  }
+
+  it("returns defaults without file or env", () => {
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-config-"));
+    try {
+      assert.deepEqual(loadConfig(empty, {}), { config: DEFAULT_CONFIG, errors: [] });
+    } finally {
+      fs.rmSync(empty, { recursive: true, force: true });
+    }
+  });
+
+  it("applies file values over defaults", () => {
+    writeConfig({ glob: ["notes/**/*.md"], maxTokens: 500 });
+    const { config, errors } = loadConfig(tmpDir, {});
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.glob, ["notes/**/*.md"]);
+    assert.equal(config.maxTokens, 500);
+    assert.equal(config.disabled, false);
+  });
+
+  it("splits a glob string from the file", () => {
+    writeConfig({ glob: "a/*.md,b/*.{md,mdc}" });
+    assert.deepEqual(loadConfig(tmpDir, {}).config.glob, ["a/*.md", "b/*.{md,mdc}"]);
+  });
+
+  it("applies env values over file values", () => {
+    writeConfig({ glob: ["notes/**/*.md"], disabled: true });
+    const { config } = loadConfig(tmpDir, {
+      CLAUDE_MICRODOC_GLOB: "docs/*.md",
+      CLAUDE_MICRODOC_DISABLED: "0",
+    });
+    assert.deepEqual(config.glob, ["docs/*.md"]);
+    assert.equal(config.disabled, false);
+  });
+
+  it("ignores empty env values", () => {
+    writeConfig({ maxTokens: 500 });
+    assert.equal(loadConfig(tmpDir, { CLAUDE_MICRODOC_MAX_TOKENS: "" }).config.maxTokens, 500);
+  });
+
+  it("reports invalid values and keeps the lower-precedence value", () => {
+    writeConfig({ maxTokens: -1, disabled: "yes" });
+    const { config, errors } = loadConfig(tmpDir, { CLAUDE_MICRODOC_MAX_TOKENS: "lots" });
+    assert.equal(config.maxTokens, 0);
+    assert.equal(config.disabled, false);
+    assert.deepEqual(errors, [
+      '.claude/microdoc.json: "maxTokens" must be a non-negative integer',
+      '.claude/microdoc.json: "disabled" must be a boolean',
+      "CLAUDE_MICRODOC_MAX_TOKENS must be a non-negative integer",
+    ]);
+  });
+
+  it("reports unknown keys", () => {
+    writeConfig({ globs: ["x"] });
+    assert.deepEqual(loadConfig(tmpDir, {}).errors, ['.claude/microdoc.json: unknown key "globs"']);
+  });
+
+  it("reports a non-object config", () => {
+    writeConfig(["docs"]);
+    assert.deepEqual(loadConfig(tmpDir, {}).errors, [".claude/microdoc.json: must be a JSON object"]);
+  });
+
+  it("reads exclude from file and env", () => {
+    writeConfig({ exclude: ["docs/archive/**"] });
+    assert.deepEqual(loadConfig(tmpDir, {}).config.exclude, ["docs/archive/**"]);
+    assert.deepEqual(
+      loadConfig(tmpDir, { CLAUDE_MICRODOC_EXCLUDE: "docs/drafts/**,docs/tmp/*" }).config.exclude,
+      ["docs/drafts/**", "docs/tmp/*"],
+    );
+  });
+
+  it("allows an empty exclude list", () => {
+    writeConfig({ exclude: [] });
+    assert.deepEqual(loadConfig(tmpDir, {}).errors, []);
+  });
+
+  it("validates the inactive mode", () => {
+    writeConfig({ inactive: "fold" });
+    assert.equal(loadConfig(tmpDir, {}).config.inactive, "fold");
+    const { config, errors } = loadConfig(tmpDir, { CLAUDE_MICRODOC_INACTIVE: "vanish" });
+    assert.equal(config.inactive, "fold");
+    assert.deepEqual(errors, ['CLAUDE_MICRODOC_INACTIVE must be one of "show", "hide", "fold"']);
+  });
+
+  it("reads extra roots from file and env", () => {
+    writeConfig({ roots: [{ path: "~/handbook", alias: "handbook", exclude: "drafts/**" }] });
+    assert.deepEqual(loadConfig(tmpDir, {}).config.roots, [
+      { alias: "handbook", path: "~/handbook", glob: [ROOT_GLOB], exclude: ["drafts/**"] },
+    ]);
+    assert.deepEqual(loadConfig(tmpDir, { CLAUDE_MICRODOC_ROOTS: "team=../team-docs, me=~/.claude/docs" }).config.roots, [
+      { alias: "team", path: "../team-docs", glob: [ROOT_GLOB], exclude: [] },
+      { alias: "me", path: "~/.claude/docs", glob: [ROOT_GLOB], exclude: [] },
+    ]);
+  });
+
+  it("validates roots", () => {
+    const errors = (roots) => loadConfig(tmpDir, { CLAUDE_MICRODOC_ROOTS: roots }).errors;
+    assert.deepEqual(errors("bad alias=/x"), ['CLAUDE_MICRODOC_ROOTS alias "bad alias" must be letters, digits, ".", "_" or "-"']);
+    assert.deepEqual(errors("a=/x,a=/y"), ['CLAUDE_MICRODOC_ROOTS root "a" is listed twice']);
+    assert.deepEqual(errors("a"), ['CLAUDE_MICRODOC_ROOTS root "a" "path" must be a non-empty string']);
+    writeConfig({ roots: [{ alias: "a", path: "/x", glob: [] }] });
+    assert.deepEqual(loadConfig(tmpDir, {}).errors, ['.claude/microdoc.json: "roots" root "a" "glob" must contain at least one pattern']);
+    writeConfig({ roots: { a: "/x" } });
+    assert.deepEqual(loadConfig(tmpDir, {}).errors, ['.claude/microdoc.json: "roots" must be an array of {path, alias} objects']);
+  });
+
+  it("reads the section threshold", () => {
+    writeConfig({ sectionLines: 200 });
+    assert.equal(loadConfig(tmpDir, {}).config.sectionLines, 200);
+    assert.equal(loadConfig(tmpDir, { CLAUDE_MICRODOC_SECTION_LINES: "80" }).config.sectionLines, 80);
+  });
+
+  it("reads and validates the skip list", () => {
+    writeConfig({ skipDirs: ["node_modules", "vendor"] });
+    assert.deepEqual(loadConfig(tmpDir, {}).config.skipDirs, ["node_modules", "vendor"]);
+    assert.deepEqual(loadConfig(tmpDir, { CLAUDE_MICRODOC_SKIP_DIRS: ".git, tmp" }).config.skipDirs, [".git", "tmp"]);
+    assert.deepEqual(loadConfig(tmpDir, { CLAUDE_MICRODOC_SKIP_DIRS: "docs/tmp" }).errors, [
+      'CLAUDE_MICRODOC_SKIP_DIRS entry "docs/tmp" must be a directory name, not a path',
+    ]);
+  });
+
+  it("reports an empty glob list", () => {
+    writeConfig({ glob: [] });
+    const { config, errors } = loadConfig(tmpDir, {});
+    assert.deepEqual(config.glob, DEFAULT_CONFIG.glob);
+    assert.deepEqual(errors, ['.claude/microdoc.json: "glob" must contain at least one pattern']);
+  });
+});
+
+describe("docPatterns", () => {
+  it("appends excludes as negated patterns", () => {
+    assert.deepEqual(
+      docPatterns({ glob: ["docs/**/*.md"], exclude: ["docs/archive/**"] }),
+      ["docs/**/*.md", "!docs/archive/**"],
+    );
+  });
+
+  it("keeps negated patterns from the glob", () => {
+    assert.deepEqual(
+      docPatterns({ glob: ["docs/**/*.md", "!docs/tmp/**"], exclude: [] }),
+      ["docs/**/*.md", "!docs/tmp/**"],
+    );
+  });
+
+  it("narrows the default glob when only negations are given", () => {
+    assert.deepEqual(
+      docPatterns({ glob: ["!docs/archive/**"], exclude: [] }),
+      [DEFAULT_CONFIG.glob[0], "!docs/archive/**"],
+    );
+  });
+});
+
+describe("renderDoc", () => {
+  it("renders path and description", () => {
+    assert.equal(renderDoc({ path: "docs/a.md", description: "A" }), '<doc path="docs/a.md">A</doc>');
+  });
+
+  it("renders a self-closing tag without description", () => {
+    assert.equal(renderDoc({ path: "docs/a.md", description: null }), '<doc path="docs/a.md"/>');
+  });
+
+  it("renders metadata attributes in a fixed order", () => {
+    const doc = {
+      path: "docs/003-old.md",
+      description: "Old",
+      title: 'The "old" way',
+      status: "superseded",
+      tags: ["storage", "db"],
+      supersededBy: "docs/012-new.md",
+      supersedes: ["docs/001-older.md"],
+    };
+    assert.equal(
+      renderDoc(doc),
+      '<doc path="docs/003-old.md" title="The &quot;old&quot; way" status="superseded" tags="storage,db" ' +
+        'superseded-by="docs/012-new.md" supersedes="docs/001-older.md">Old</doc>',
+    );
+  });
+
+  it("omits empty tag lists", () => {
+    assert.equal(renderDoc({ path: "a.md", description: "A", tags: [] }), '<doc path="a.md">A</doc>');
+  });
+
+  it("lists related docs", () => {
+    assert.equal(
+      renderDoc({ path: "a.md", description: "A", related: ["b.md", "c.md"] }),
+      '<doc path="a.md" related="b.md,c.md">A</doc>',
+    );
+  });
+
+  it("marks stale docs with the commit count", () => {
+    assert.equal(
+      renderDoc({ path: "a.md", description: "A", stale: true, behind: 1 }),
+      '<doc path="a.md" stale="true" behind="1 commit">A</doc>',
+    );
+  });
+
+  it("marks derived descriptions", () => {
+    assert.equal(renderDoc({ path: "a.md", description: "A", derived: true }), '<doc path="a.md" derived="true">A</doc>');
+  });
+});
+
+describe("resolveDocRef", () => {
+  const docs = [
+    { path: "docs/adr/003-old.md" },
+    { path: "docs/adr/012-new.md" },
+    { path: "docs/adr/0120-other.md" },
+    { path: "docs/guide.md" },
+  ];
+
+  it("resolves a project-relative path", () => {
+    assert.equal(resolveDocRef(docs, "docs/adr/003-old.md", "docs/guide.md").path, "docs/guide.md");
+  });
+
+  it("resolves a path relative to the referring doc", () => {
+    assert.equal(resolveDocRef(docs, "docs/adr/003-old.md", "../guide.md").path, "docs/guide.md");
+    assert.equal(resolveDocRef(docs, "docs/adr/003-old.md", "012-new.md").path, "docs/adr/012-new.md");
+  });
+
+  it("resolves a bare record number by filename prefix", () => {
+    assert.equal(resolveDocRef(docs, "docs/adr/003-old.md", "012").path, "docs/adr/012-new.md");
+  });
+
+  it("returns null for unknown references", () => {
+    assert.equal(resolveDocRef(docs, "docs/adr/003-old.md", "999"), null);
+  });
+});
+
+describe("yamlBlock", () => {
+  it("returns the dedented lines of a nested block", () => {
+    assert.equal(yamlBlock("when:\n  branch: main\n  files:\n    - a\ntitle: x", "when"), "branch: main\nfiles:\n  - a");
+  });
+
+  it("returns null for a missing key or an inline value", () => {
+    assert.equal(yamlBlock("title: x", "when"), null);
+    assert.equal(yamlBlock("when: main", "when"), null);
+  });
+});
+
+describe("extractConditions", () => {
+  it("reads each condition as a list", () => {
+    const content = "---\ndescription: Release\nwhen:\n  branch: release/*\n  env: [CI, DEPLOY_ENV=prod]\n  files:\n  - Dockerfile\n  - terraform/**\n---\n";
+    assert.deepEqual(extractConditions(content), {
+      branch: ["release/*"],
+      env: ["CI", "DEPLOY_ENV=prod"],
+      files: ["Dockerfile", "terraform/**"],
+    });
+  });
+
+  it("returns null without a when block", () => {
+    assert.equal(extractConditions("---\ndescription: Plain\n---\n"), null);
+    assert.equal(extractConditions("# No frontmatter"), null);
+  });
+
+  it("collects unknown keys and inline values", () => {
+    assert.deepEqual(extractConditions("---\nwhen:\n  branches: main\n---\n"), { unknown: ["branches"] });
+    assert.deepEqual(extractConditions("---\nwhen: main\n---\n"), { unknown: ["when"] });
+    assert.deepEqual(extractConditions("---\nwhen: {Dockerfile}\n---\n"), { unknown: ["when"] });
+  });
+
+  it("reads a flow mapping", () => {
+    assert.deepEqual(extractConditions("---\nwhen: {files: [Dockerfile]}\n---\n"), { files: ["Dockerfile"] });
+    assert.deepEqual(
+      extractConditions("---\nwhen: {branch: main, env: [CI, DEPLOY_ENV=prod], stage: x} # note\n---\n"),
+      { branch: ["main"], env: ["CI", "DEPLOY_ENV=prod"], unknown: ["stage"] },
+    );
+  });
+});
+
+describe("negatableMatcher", () => {
+  it("matches everything but the negations when there is no include", () => {
+    assert.equal(negatableMatcher(["!main"])("release/1.0"), true);
+    assert.equal(negatableMatcher(["!main"])("main"), false);
+    assert.equal(negatableMatcher(["release/*"])("main"), false);
+  });
+});
+
+describe("conditionsMet", () => {
+  const context = { branch: "release/2.1", env: { CI: "true", DEPLOY_ENV: "prod" }, exists: (p) => p === "Dockerfile" };
+
+  it("matches branch globs against the current branch", () => {
+    assert.equal(conditionsMet({ branch: ["release/*"] }, context), true);
+    assert.equal(conditionsMet({ branch: ["main", "hotfix/*"] }, context), false);
+    assert.equal(conditionsMet({ branch: ["!main"] }, context), true);
+    assert.equal(conditionsMet({ branch: ["!main"] }, { ...context, branch: null }), false);
+  });
+
+  it("checks env vars for presence or a value", () => {
+    assert.equal(conditionsMet({ env: ["CI"] }, context), true);
+    assert.equal(conditionsMet({ env: ["DEPLOY_ENV=staging"] }, context), false);
+    assert.equal(conditionsMet({ env: ["MISSING", "DEPLOY_ENV=prod"] }, context), true);
+  });
+
+  it("needs any listed file and every kind of condition", () => {
+    assert.equal(conditionsMet({ files: ["terraform/**", "Dockerfile"] }, context), true);
+    assert.equal(conditionsMet({ files: ["Dockerfile"], env: ["MISSING"] }, context), false);
+  });
+});
+
+describe("applyConditions", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-when-"));
+    fs.mkdirSync(path.join(tmpDir, "db", "migrations"), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, "db", "migrations", "001.sql"), "");
+    fs.writeFileSync(path.join(tmpDir, "Dockerfile"), "");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("drops docs whose conditions fail", () => {
+    const docs = [
+      { path: "docs/always.md" },
+      { path: "docs/migrations.md", when: { files: ["db/migrations/*.sql"] } },
+      { path: "docs/docker.md", when: { files: ["Dockerfile"] } },
+      { path: "docs/terraform.md", when: { files: ["terraform/**"] } },
+      { path: "docs/ci.md", when: { env: ["CI"] } },
+      { path: "docs/release.md", when: { branch: ["release/*"] } },
+    ];
+    const kept = applyConditions(tmpDir, docs, { env: { CI: "1" } });
+    assert.deepEqual(kept.map((d) => d.path), ["docs/always.md", "docs/migrations.md", "docs/docker.md", "docs/ci.md"]);
+  });
+
+  it("returns the same list when no doc has conditions", () => {
+    const docs = [{ path: "docs/a.md" }];
+    assert.equal(applyConditions(tmpDir, docs), docs);
+  });
+
+  it("reuses discovery's listing when it covers the globs", () => {
+    const docs = [{ path: "docs/seeds.md", when: { files: ["db/seeds/*.sql"] } }];
+    const kept = (listing) => applyConditions(tmpDir, docs, { listing }).map((d) => d.path);
+    // Listed files are trusted as they are, without another walk of the disk
+    assert.deepEqual(kept({ files: ["db/seeds/1.sql"], walked: null }), ["docs/seeds.md"]);
+    assert.deepEqual(kept({ files: ["db/seeds/1.sql"], walked: ["db"] }), ["docs/seeds.md"]);
+    // A walk of docs/ alone says nothing about db/, which is then listed on its own
+    assert.deepEqual(kept({ files: ["db/seeds/1.sql"], walked: ["docs"] }), []);
+  });
+});
+
+describe("currentBranch", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-head-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reads HEAD from the git dir, also through a .git file", () => {
+    fs.mkdirSync(path.join(tmpDir, "repo", ".git"), { recursive: true });
+    fs.mkdirSync(path.join(tmpDir, "repo", "src"));
+    fs.writeFileSync(path.join(tmpDir, "repo", ".git", "HEAD"), "ref: refs/heads/release/1.2\n");
+    assert.equal(currentBranch(path.join(tmpDir, "repo", "src")), "release/1.2");
+
+    fs.mkdirSync(path.join(tmpDir, "worktree"));
+    fs.mkdirSync(path.join(tmpDir, "gitdir"));
+    fs.writeFileSync(path.join(tmpDir, "worktree", ".git"), "gitdir: ../gitdir\n");
+    fs.writeFileSync(path.join(tmpDir, "gitdir", "HEAD"), `${"a".repeat(40)}\n`);
+    assert.equal(currentBranch(path.join(tmpDir, "worktree")), null);
+  });
+});
+
+describe("applyLifecycle", () => {
+  const docs = [
+    { path: "docs/001-first.md", status: "superseded", supersededBy: "002" },
+    { path: "docs/002-second.md", status: "superseded", supersededBy: "003" },
+    { path: "docs/003-third.md", status: "accepted", supersededBy: null },
+    { path: "docs/004-dead.md", status: "deprecated", supersededBy: null },
+    { path: "docs/005-lost.md", status: "superseded", supersededBy: "missing" },
+  ];
+
+  it("shows every doc and resolves references", () => {
+    const out = applyLifecycle(docs, "show");
+    assert.equal(out.length, 5);
+    assert.equal(out[0].supersededBy, "docs/002-second.md");
+    assert.equal(out[4].supersededBy, "missing");
+  });
+
+  it("hides deprecated and superseded docs", () => {
+    assert.deepEqual(applyLifecycle(docs, "hide").map((d) => d.path), ["docs/003-third.md"]);
+  });
+
+  it("folds superseded docs under their active replacement, following chains", () => {
+    const out = applyLifecycle(docs, "fold");
+    assert.deepEqual(out.map((d) => d.path), ["docs/003-third.md"]);
+    assert.deepEqual(out[0].supersedes, ["docs/001-first.md", "docs/002-second.md"]);
+  });
+
+  it("does not mutate the input docs", () => {
+    applyLifecycle(docs, "fold");
+    assert.equal(docs[2].supersedes, undefined);
+    assert.equal(docs[0].supersededBy, "002");
+  });
+
+  it("survives supersession cycles", () => {
+    const cyclic = [
+      { path: "a.md", status: "superseded", supersededBy: "b.md" },
+      { path: "b.md", status: "superseded", supersededBy: "a.md" },
+    ];
+    assert.deepEqual(applyLifecycle(cyclic, "fold"), []);
+  });
+});
+
+describe("buildGroups", () => {
+  const docs = [
+    { path: "docs/overview.md", description: "Overview" },
+    { path: "docs/backend/README.md", description: "Backend services" },
+    { path: "docs/backend/api.md", description: "API" },
+    { path: "docs/backend/db/schema.md", description: "Schema" },
+    { path: "docs/frontend/ui.md", description: "UI" },
+  ];
+
+  it("roots the tree at the deepest shared directory", () => {
+    const root = buildGroups(docs);
+    assert.equal(root.path, "docs");
+    assert.deepEqual(root.docs.map((d) => d.path), ["docs/overview.md"]);
+    assert.deepEqual([...root.groups.keys()], ["backend", "frontend"]);
+  });
+
+  it("nests subdirectories and takes the group index from README.md", () => {
+    const backend = buildGroups(docs).groups.get("backend");
+    assert.equal(backend.path, "docs/backend");
+    assert.equal(backend.index.path, "docs/backend/README.md");
+    assert.deepEqual(backend.docs.map((d) => d.path), ["docs/backend/api.md"]);
+    assert.equal(backend.groups.get("db").path, "docs/backend/db");
+  });
+
+  it("keeps an index file in the root as a plain doc", () => {
+    const root = buildGroups([{ path: "docs/index.md" }, { path: "docs/a.md" }]);
+    assert.equal(root.index, null);
+    assert.equal(root.docs.length, 2);
+  });
+
+  it("handles docs at the project root", () => {
+    const root = buildGroups([{ path: "README.md" }, { path: "docs/a.md" }]);
+    assert.equal(root.path, ".");
+    assert.deepEqual(root.docs.map((d) => d.path), ["README.md"]);
+    assert.deepEqual([...root.groups.keys()], ["docs"]);
+  });
+
+  it("returns an empty root for no docs", () => {
+    assert.equal(countGroupDocs(buildGroups([])), 0);
+  });
+
+  it("counts docs recursively", () => {
+    const root = buildGroups(docs);
+    assert.equal(countGroupDocs(root), 5);
+    assert.equal(countGroupDocs(root.groups.get("backend")), 3);
+  });
+});
+
+describe("renderIndex (grouped)", () => {
+  const docs = [
+    { path: "docs/overview.md", description: "Overview" },
+    { path: "docs/backend/README.md", description: "Backend services" },
+    { path: "docs/backend/api.md", description: "API" },
+    { path: "docs/backend/db/schema.md", description: "Schema" },
+    { path: "docs/frontend/ui.md", description: "UI" },
+  ];
+
+  function body(out) {
+    return out.slice(out.indexOf("<docs>\n") + 7, out.indexOf("</docs>"));
+  }
+
+  it("nests docs under group elements", () => {
+    const out = renderIndex(docs, { layout: "grouped" });
+    assert.equal(body(out), [
+      '<doc path="docs/overview.md">Overview</doc>',
+      '<group path="docs/backend" index="docs/backend/README.md" description="Backend services">',
+      '<doc path="docs/backend/api.md">API</doc>',
+      '<group path="docs/backend/db">',
+      '<doc path="docs/backend/db/schema.md">Schema</doc>',
+      "</group>",
+      "</group>",
+      '<group path="docs/frontend">',
+      '<doc path="docs/frontend/ui.md">UI</doc>',
+      "</group>",
+      "",
+    ].join("\n"));
+    assert.ok(!out.includes("collapsed"));
+  });
+
+  it("collapses groups over the limit to a count", () => {
+    const out = renderIndex(docs, { layout: "grouped", groupLimit: 2 });
+    assert.ok(out.includes(
+      '<group path="docs/backend" index="docs/backend/README.md" description="Backend services" count="3"/>',
+    ));
+    assert.ok(out.includes('<doc path="docs/frontend/ui.md">UI</doc>'));
+    assert.ok(out.includes("Groups with a count attribute are collapsed"));
+  });
+
+  it("keeps the flat layout by default", () => {
+    const out = renderIndex(docs);
+    assert.ok(!out.includes("<group"));
+  });
+});
+
+describe("renderIndex (truncated)", () => {
+  const docs = [{ path: "docs/a.md", description: "Doc A" }];
+
+  it("adds a timeout marker and an instruction", () => {
+    const out = renderIndex(docs, { truncated: true });
+    assert.ok(out.endsWith('</docs>\n<truncated reason="timeout"/>\n</microdoc>\n'));
+    assert.ok(out.includes("Indexing ran out of time"));
+  });
+
+  it("omits both when complete", () => {
+    const out = renderIndex(docs);
+    assert.ok(!out.includes("<truncated"));
+    assert.ok(!out.includes("ran out of time"));
+  });
+});
+
+describe("readWorkspacePatterns", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-ws-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("returns empty array without workspace files", () => {
+    assert.deepEqual(readWorkspacePatterns(tmpDir), []);
+  });
+
+  it("reads npm/yarn workspaces and pnpm-workspace.yaml", () => {
+    fs.writeFileSync(path.join(tmpDir, "package.json"), JSON.stringify({ workspaces: ["./packages/*/"] }));
+    fs.writeFileSync(path.join(tmpDir, "pnpm-workspace.yaml"), "packages:\n  - apps/*\n  - '!apps/legacy'\n");
+    assert.deepEqual(readWorkspacePatterns(tmpDir), ["packages/*", "apps/*", "!apps/legacy"]);
+  });
+
+  it("reads the yarn object form", () => {
+    fs.rmSync(path.join(tmpDir, "pnpm-workspace.yaml"));
+    fs.writeFileSync(path.join(tmpDir, "package.json"), JSON.stringify({ workspaces: { packages: ["libs/*"] } }));
+    assert.deepEqual(readWorkspacePatterns(tmpDir), ["libs/*"]);
+  });
+});
+
+describe("findPackages", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-pkg-"));
+    const write = (rel, content) => {
+      fs.mkdirSync(path.dirname(path.join(tmpDir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, rel), content);
+    };
+    write("packages/billing/package.json", JSON.stringify({ name: "@acme/billing" }));
+    write("packages/web/package.json", JSON.stringify({ name: "@acme/web", microdoc: { glob: "guides/*.md" } }));
+    write("packages/bad/package.json", JSON.stringify({ microdoc: { glob: 5 } }));
+    write("tools/cli/package.json", JSON.stringify({ name: "cli" }));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const files = [
+    "package.json",
+    "packages/bad/package.json",
+    "packages/billing/package.json",
+    "packages/web/package.json",
+    "tools/cli/package.json",
+  ];
+
+  it("returns nothing without workspaces", () => {
+    assert.deepEqual(findPackages(tmpDir, files, [], ["docs/**"]), { packages: [], errors: [] });
+  });
+
+  it("finds workspace packages and prefixes the project globs", () => {
+    const { packages } = findPackages(tmpDir, files, ["packages/*"], ["docs/**/*.md", "!docs/archive/**"]);
+    const billing = packages.find((p) => p.dir === "packages/billing");
+    assert.equal(billing.name, "@acme/billing");
+    assert.deepEqual(billing.patterns, ["packages/billing/docs/**/*.md", "!packages/billing/docs/archive/**"]);
+    assert.ok(!packages.some((p) => p.dir === "tools/cli"));
+  });
+
+  it("applies a package's own glob override", () => {
+    const { packages } = findPackages(tmpDir, files, ["packages/*"], ["docs/**/*.md"]);
+    assert.deepEqual(packages.find((p) => p.dir === "packages/web").patterns, ["packages/web/guides/*.md"]);
+  });
+
+  it("reports invalid package overrides and falls back to the directory name", () => {
+    const { packages, errors } = findPackages(tmpDir, files, ["packages/*"], ["docs/**/*.md"]);
+    const bad = packages.find((p) => p.dir === "packages/bad");
+    assert.equal(bad.name, "packages/bad");
+    assert.deepEqual(errors, ['packages/bad/package.json#microdoc: "glob" must be a string or an array of strings']);
+  });
+});
+
+describe("packageOf", () => {
+  const packages = [
+    { dir: "packages/a", name: "a" },
+    { dir: "packages/a/nested", name: "nested" },
+  ];
+
+  it("returns the innermost owning package", () => {
+    assert.equal(packageOf(packages, "packages/a/docs/x.md"), "a");
+    assert.equal(packageOf(packages, "packages/a/nested/docs/x.md"), "nested");
+  });
+
+  it("returns null outside packages", () => {
+    assert.equal(packageOf(packages, "docs/x.md"), null);
+    assert.equal(packageOf(packages, "packages/ab/docs/x.md"), null);
+  });
+});
+
+describe("countWords", () => {
+  it("counts whitespace-separated words", () => {
+    assert.equal(countWords("  Billing  ledger.\nDouble-entry model "), 4);
+    assert.equal(countWords(""), 0);
+  });
+});
+
+describe("lintDoc", () => {
+  it("accepts a doc with a short description", () => {
+    assert.deepEqual(lintDoc("---\ndescription: Billing ledger\n---\n# Billing"), []);
+  });
+
+  it("reports unknown when conditions", () => {
+    assert.deepEqual(lintDoc("---\ndescription: Release\nwhen:\n  branch: release/*\n  os: linux\n---\n"), [
+      { rule: "unknown-condition", message: 'unknown condition "os" in when (use branch, env, files)' },
+    ]);
+    assert.deepEqual(lintDoc("---\nwhen: release\n---\n"), [
+      { rule: "missing-description", message: "frontmatter has no description" },
+      { rule: "unknown-condition", message: "when must be a block or {} mapping of branch, env, files" },
+    ]);
+  });
+
+  it("reports a missing frontmatter block", () => {
+    assert.deepEqual(lintDoc("# Billing"), [{ rule: "missing-frontmatter", message: "no YAML frontmatter block" }]);
+  });
+
+  it("reports an unclosed frontmatter block", () => {
+    const [problem] = lintDoc("---\ndescription: Billing\n# Billing");
+    assert.equal(problem.rule, "unparseable-frontmatter");
+  });
+
+  it("reports an unterminated quoted description", () => {
+    const [problem] = lintDoc('---\ndescription: "Billing ledger\n---\n');
+    assert.equal(problem.rule, "unparseable-frontmatter");
+  });
+
+  it("reports a missing description", () => {
+    const [problem] = lintDoc("---\ntitle: Billing\n---\n");
+    assert.equal(problem.rule, "missing-description");
+  });
+
+  it("reports an empty description", () => {
+    assert.equal(lintDoc("---\ndescription:\n---\n")[0].rule, "empty-description");
+    assert.equal(lintDoc('---\ndescription: ""\n---\n')[0].rule, "empty-description");
+  });
+
+  it("reports descriptions over the word limit", () => {
+    const content = "---\ndescription: one two three four\n---\n";
+    assert.deepEqual(lintDoc(content, { maxWords: 3 }), [
+      { rule: "long-description", message: "description has 4 words (limit 3)" },
+    ]);
+    assert.deepEqual(lintDoc(content, { maxWords: 4 }), []);
+    assert.deepEqual(lintDoc(content, { maxWords: 0 }), []);
+  });
+});
+
+describe("lintDocs", () => {
+  it("reports broken links it is given", () => {
+    const problems = lintDocs([{ path: "docs/a.md", content: "---\ndescription: A\n---\n" }], {
+      brokenLinks: [{ path: "docs/a.md", target: "docs/gone.md" }],
+    });
+    assert.deepEqual(problems, [{ path: "docs/a.md", rule: "broken-link", message: "links to missing docs/gone.md" }]);
+  });
+
+  it("reports case-insensitive duplicate descriptions on every copy", () => {
+    const problems = lintDocs([
+      { path: "docs/b.md", content: "---\ndescription: Billing ledger\n---\n" },
+      { path: "docs/a.md", content: "---\ndescription: billing ledger\n---\n" },
+      { path: "docs/c.md", content: "---\ndescription: Deploys\n---\n" },
+    ]);
+    assert.deepEqual(problems, [
+      { path: "docs/a.md", rule: "duplicate-description", message: "same description as docs/b.md" },
+      { path: "docs/b.md", rule: "duplicate-description", message: "same description as docs/a.md" },
+    ]);
+  });
+
+  it("sorts problems by path, then rule", () => {
+    const problems = lintDocs([
+      { path: "docs/z.md", content: "# Z" },
+      { path: "docs/a.md", content: "---\ntitle: A\n---\n" },
+    ]);
+    assert.deepEqual(problems.map((p) => `${p.path} ${p.rule}`), [
+      "docs/a.md missing-description",
+      "docs/z.md missing-frontmatter",
+    ]);
+  });
+});
+
+describe("formatLintReport", () => {
+  it("summarises a clean run", () => {
+    assert.equal(formatLintReport([], 4), "4 docs, no problems\n");
+  });
+
+  it("lists problems with a summary line", () => {
+    const out = formatLintReport(
+      [
+        { path: "docs/a.md", rule: "missing-description", message: "frontmatter has no description" },
+        { path: "docs/a.md", rule: "long-description", message: "description has 30 words (limit 25)" },
+        { path: "docs/b.md", rule: "missing-frontmatter", message: "no YAML frontmatter block" },
+      ],
+      5,
+    );
+    assert.equal(
+      out,
+      "docs/a.md: missing-description: frontmatter has no description\n" +
+        "docs/a.md: long-description: description has 30 words (limit 25)\n" +
+        "docs/b.md: missing-frontmatter: no YAML frontmatter block\n" +
+        "\n3 problems in 2 of 5 docs\n",
+    );
+  });
+});
+
+describe("readFrontmatterHead", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-head-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function write(name, content) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  it("stops reading after the closing delimiter", () => {
+    const file = write("big.md", "---\ndescription: Reference\n---\n" + "x".repeat(1024 * 1024));
+    const head = readFrontmatterHead(file);
+    assert.ok(head.length <= 4096);
+    assert.equal(extractDescription(head), "Reference");
+  });
+
+  it("stops after the first chunk without frontmatter", () => {
+    const file = write("plain.md", "# Title\n" + "y".repeat(100000));
+    assert.ok(readFrontmatterHead(file).length <= 4096);
+  });
+
+  it("keeps reading frontmatter that spans several chunks", () => {
+    const tags = Array.from({ length: 2000 }, (_, i) => `  - tag${i}`).join("\n");
+    const file = write("tags.md", `---\ndescription: Many tags\ntags:\n${tags}\n---\nbody`);
+    const head = readFrontmatterHead(file);
+    assert.equal(extractDescription(head), "Many tags");
+    assert.equal(extractList(head, "tags").length, 2000);
+  });
+
+  it("decodes multi-byte characters split across chunks", () => {
+    const file = write("utf8.md", `---\ntitle: ${"é".repeat(3000)}\ndescription: Überblick\n---\n`);
+    const head = readFrontmatterHead(file);
+    assert.equal(extractScalar(head, "title"), "é".repeat(3000));
+    assert.equal(extractDescription(head), "Überblick");
+  });
+
+  it("handles BOM, CRLF, short files and unclosed frontmatter", () => {
+    assert.equal(extractDescription(readFrontmatterHead(write("bom.md", "\uFEFF---\r\ndescription: BOM\r\n---\r\n"))), "BOM");
+    assert.equal(readFrontmatterHead(write("closed-at-eof.md", "---\ndescription: Eof\n---")), "---\ndescription: Eof\n---");
+    assert.equal(readFrontmatterHead(write("empty.md", "")), "");
+    assert.equal(extractFrontmatter(readFrontmatterHead(write("unclosed.md", "---\ndescription: Open\n"))), null);
+  });
+});
+
+describe("doc cache", () => {
+  let tmpDir;
+  let cacheFile;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-cache-"));
+    cacheFile = path.join(tmpDir, "cache", "docs.json");
+    fs.mkdirSync(path.join(tmpDir, "docs"));
+    fs.writeFileSync(path.join(tmpDir, "docs/a.md"), "---\ndescription: Doc A\n---\n");
+    fs.writeFileSync(path.join(tmpDir, "docs/b.md"), "---\ndescription: Doc B\n---\n");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("derives a stable per-project path in the temp dir", () => {
+    assert.equal(docCachePath("/repo"), docCachePath("/repo/"));
+    assert.notEqual(docCachePath("/repo"), docCachePath("/other"));
+    assert.ok(docCachePath("/repo").startsWith(stateDir() + path.sep));
+    assert.equal(stateDir(), path.join(os.tmpdir(), `microdoc-${process.getuid()}`));
+  });
+
+  it("creates a private state dir and refuses one others can write", () => {
+    const dir = path.join(tmpDir, "state");
+    assert.equal(privateStateDir(dir), dir);
+    assert.equal(fs.statSync(dir).mode & 0o777, 0o700);
+    fs.chmodSync(dir, 0o777);
+    assert.equal(privateStateDir(dir), null);
+    const link = path.join(tmpDir, "state-link");
+    fs.symlinkSync(dir, link);
+    fs.chmodSync(dir, 0o700);
+    assert.equal(privateStateDir(link), null);
+  });
+
+  it("starts empty when the cache is missing, corrupt or from another version", () => {
+    const empty = { version: CACHE_VERSION, fingerprint: "", docs: {} };
+    assert.deepEqual(readDocCache(path.join(tmpDir, "missing.json")), empty);
+    fs.writeFileSync(path.join(tmpDir, "corrupt.json"), "{");
+    assert.deepEqual(readDocCache(path.join(tmpDir, "corrupt.json")), empty);
+    writeDocCache(path.join(tmpDir, "old.json"), { version: CACHE_VERSION - 1, docs: { "docs/a.md": {} } });
+    assert.deepEqual(readDocCache(path.join(tmpDir, "old.json")), empty);
+  });
+
+  it("parses every doc on a cold cache and writes it", () => {
+    const { docs } = loadDocs(tmpDir, ["docs/a.md", "docs/b.md"], { cacheFile });
+    assert.deepEqual(docs.map((d) => d.description), ["Doc A", "Doc B"]);
+    assert.deepEqual(Object.keys(readDocCache(cacheFile).docs), ["docs/a.md", "docs/b.md"]);
+  });
+
+  it("reuses entries whose mtime and size match", () => {
+    const cache = readDocCache(cacheFile);
+    cache.docs["docs/a.md"].doc.description = "From cache";
+    writeDocCache(cacheFile, cache);
+    const [a] = loadDocs(tmpDir, ["docs/a.md", "docs/b.md"], { cacheFile }).docs;
+    assert.equal(a.description, "From cache");
+  });
+
+  it("re-parses changed docs and prunes removed ones", () => {
+    const file = path.join(tmpDir, "docs/a.md");
+    fs.writeFileSync(file, "---\ndescription: Doc A, edited\n---\n");
+    const [a] = loadDocs(tmpDir, ["docs/a.md"], { cacheFile }).docs;
+    assert.equal(a.description, "Doc A, edited");
+    assert.deepEqual(Object.keys(readDocCache(cacheFile).docs), ["docs/a.md"]);
+  });
+
+  it("keeps cached entries the deadline kept it from reaching", () => {
+    loadDocs(tmpDir, ["docs/a.md", "docs/b.md"], { cacheFile });
+    fs.writeFileSync(path.join(tmpDir, "docs/a.md"), "---\ndescription: Doc A, edited again\n---\n");
+    let checks = 0;
+    const deadline = { expired: () => ++checks > 1, remaining: () => 0, tripped: () => checks > 1 };
+    const { docs } = loadDocs(tmpDir, ["docs/a.md", "docs/b.md"], { cacheFile, deadline });
+    assert.deepEqual(docs.map((d) => d.description), ["Doc A, edited again"]);
+    assert.deepEqual(Object.keys(readDocCache(cacheFile).docs), ["docs/a.md", "docs/b.md"]);
+  });
+
+  it("ignores an unwritable cache location", () => {
+    const blocker = path.join(tmpDir, "blocker");
+    fs.writeFileSync(blocker, "");
+    const { docs } = loadDocs(tmpDir, ["docs/b.md"], { cacheFile: path.join(blocker, "docs.json") });
+    assert.equal(docs[0].description, "Doc B");
+  });
+});
+
+describe("createDebugLog", () => {
+  it("writes nothing and builds no message when disabled", () => {
+    const lines = [];
+    const log = createDebugLog(false, { write: (message) => lines.push(message) });
+    log(() => assert.fail("message built"));
+    assert.equal(log.enabled, false);
+    assert.deepEqual(lines, []);
+  });
+
+  it("keeps general messages and only the scoped path's own", () => {
+    const lines = [];
+    const log = createDebugLog(true, { only: "docs/a.md", write: (message) => lines.push(message) });
+    log("discovery: git");
+    log(() => "docs/a.md: matched", "docs/a.md");
+    log("docs/b.md: matched", "docs/b.md");
+    assert.deepEqual(lines, ["discovery: git", "docs/a.md: matched"]);
+  });
+
+  it("times a phase and passes its result through", () => {
+    const lines = [];
+    const log = createDebugLog(true, { write: (message) => lines.push(message) });
+    assert.equal(timed(log, "parsing", () => 42), 42);
+    assert.match(lines[0], /^timing: parsing took \d+\.\d ms$/);
+    assert.equal(timed(createDebugLog(false), "parsing", () => 7), 7);
+  });
+});
+
+describe("discoverDocs", () => {
+  it("logs each compiled glob and the pattern deciding each file", () => {
+    const lines = [];
+    const log = createDebugLog(true, { write: (message) => lines.push(message) });
+    const files = ["docs/b.md", "docs/archive/old.md", "src/main.js", "docs/a.md"];
+    assert.deepEqual(discoverDocs("/project", ["docs/**/*.md", "!docs/archive/**"], files, log), ["docs/a.md", "docs/b.md"]);
+    assert.deepEqual(lines, [
+      "glob docs/**/*.md compiles to /^docs\\/(?:.*\\/)?[^/]*\\.md$/",
+      "glob !docs/archive/** compiles to /^docs\\/archive\\/.*$/",
+      "docs/b.md: matched by docs/**/*.md",
+      "docs/archive/old.md: rejected by !docs/archive/**",
+      "docs/a.md: matched by docs/**/*.md",
+    ]);
+  });
+
+  it("says when the scoped path matches no pattern", () => {
+    const lines = [];
+    const log = createDebugLog(true, { only: "src/main.js", write: (message) => lines.push(message) });
+    discoverDocs("/project", ["docs/**/*.md"], ["src/main.js", "docs/a.md"], log);
+    assert.equal(lines.at(-1), "src/main.js: matches none of the glob patterns");
+  });
+});
+
+describe("missingDescriptionReason", () => {
+  it("gives lint's reason for a missing description", () => {
+    assert.equal(missingDescriptionReason("# No frontmatter"), "no YAML frontmatter block");
+    assert.equal(missingDescriptionReason("---\ntitle: T\n---\n"), "frontmatter has no description");
+    assert.equal(missingDescriptionReason('---\ndescription: "open\n---\n'), "description has an unterminated quoted string");
+    assert.equal(missingDescriptionReason("---\ndescription:\n---\n"), "description is empty");
+    assert.equal(missingDescriptionReason("= Title\n", EXTRACTORS.asciidoc), "no description found");
+  });
+
+  it("returns null when there is a description, however long", () => {
+    assert.equal(missingDescriptionReason(`---\ndescription: ${"word ".repeat(40)}\n---\n`), null);
+  });
+});
+
+describe("activeDocs", () => {
+  it("logs why docs were left out", () => {
+    const lines = [];
+    const log = createDebugLog(true, { write: (message) => lines.push(message) });
+    const docs = [
+      { path: "docs/a.md", description: "A" },
+      { path: "docs/old.md", description: "Old", status: "deprecated" },
+      { path: "docs/ci.md", description: "CI", when: { env: ["CI_ONLY_VARIABLE_UNSET"] } },
+    ];
+    const active = activeDocs(os.tmpdir(), docs, { inactive: "hide", skipDirs: [] }, { log });
+    assert.deepEqual(active.map((doc) => doc.path), ["docs/a.md"]);
+    assert.ok(lines.includes("docs/ci.md: left out, when env: CI_ONLY_VARIABLE_UNSET not met"));
+    assert.ok(lines.includes('docs/old.md: hidden, status deprecated with inactive "hide"'));
+  });
+});
+
+describe("createDeadline", () => {
+  it("never expires without a budget", () => {
+    const deadline = createDeadline(0);
+    assert.equal(deadline.expired(), false);
+    assert.equal(deadline.remaining(), Infinity);
+    assert.equal(deadline.tripped(), false);
+  });
+
+  it("expires once the clock passes the budget and stays expired", () => {
+    let now = 1000;
+    const deadline = createDeadline(50, () => now);
+    assert.equal(deadline.remaining(), 50);
+    assert.equal(deadline.expired(), false);
+    now = 1050;
+    assert.equal(deadline.remaining(), 0);
+    assert.equal(deadline.tripped(), false);
+    assert.equal(deadline.expired(), true);
+    assert.equal(deadline.tripped(), true);
+    now = 0;
+    assert.equal(deadline.expired(), true);
+  });
+});
+
+describe("loadDocs", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-load-"));
+    fs.mkdirSync(path.join(tmpDir, "docs"));
+    fs.writeFileSync(path.join(tmpDir, "docs/a.md"), "---\ndescription: Doc A\n---\n");
+    fs.writeFileSync(path.join(tmpDir, "docs/b.md"), "---\ndescription: Doc B\n---\n");
+    fs.writeFileSync(path.join(tmpDir, "docs/image.md"), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x1a]));
+    fs.writeFileSync(path.join(tmpDir, "docs/huge.md"), "---\ndescription: Huge\n---\n");
+    fs.truncateSync(path.join(tmpDir, "docs/huge.md"), MAX_DOC_BYTES + 1);
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("parses every doc without a cache or deadline", () => {
+    const { docs, errors } = loadDocs(tmpDir, ["docs/a.md", "docs/b.md"]);
+    assert.deepEqual(docs.map((d) => d.path), ["docs/a.md", "docs/b.md"]);
+    assert.deepEqual(errors, []);
+  });
+
+  it("outlines long docs and docs that opt in", () => {
+    const body = "# Runbook\n\n## Failover\n\nPromote.\n\n## Rollback\n\nRevert.\n";
+    fs.writeFileSync(path.join(tmpDir, "docs/long.md"), `---\ndescription: Long\n---\n${body}`);
+    fs.writeFileSync(path.join(tmpDir, "docs/opt-in.md"), `---\ndescription: Opt in\nsections: true\n---\n${body}`);
+    fs.writeFileSync(path.join(tmpDir, "docs/opt-out.md"), `---\ndescription: Opt out\nsections: false\n---\n${body}`);
+    try {
+      const rels = ["docs/long.md", "docs/opt-in.md", "docs/opt-out.md"];
+      const outlined = (options) => loadDocs(tmpDir, rels, options).docs.filter((d) => d.sections).map((d) => d.path);
+      assert.deepEqual(outlined({}), ["docs/opt-in.md"]);
+      assert.deepEqual(outlined({ sectionLines: 12 }), ["docs/opt-in.md"]);
+      assert.deepEqual(outlined({ sectionLines: 11 }), ["docs/long.md", "docs/opt-in.md"]);
+      assert.deepEqual(loadDocs(tmpDir, ["docs/long.md"], { sectionLines: 1 }).docs[0].sections, [
+        { heading: "Failover", start: 6, end: 8 },
+        { heading: "Rollback", start: 10, end: 12 },
+      ]);
+    } finally {
+      for (const rel of ["long", "opt-in", "opt-out"]) fs.rmSync(path.join(tmpDir, `docs/${rel}.md`));
+    }
+  });
+
+  it("skips binary, oversized and missing files with a diagnostic", () => {
+    const { docs, errors } = loadDocs(tmpDir, ["docs/a.md", "docs/image.md", "docs/huge.md", "docs/gone.md"]);
+    assert.deepEqual(docs.map((d) => d.path), ["docs/a.md"]);
+    assert.deepEqual(errors, [
+      "skipped docs/image.md: binary file",
+      "skipped docs/huge.md: larger than 8 MiB",
+      "skipped docs/gone.md: file disappeared",
+    ]);
+  });
+
+  it("keeps docs with unreadable conditions and warns on every load", () => {
+    fs.writeFileSync(path.join(tmpDir, "docs/when.md"), "---\ndescription: When\nwhen: main\n---\n");
+    const cacheFile = path.join(tmpDir, "when-cache.json");
+    try {
+      for (let run = 0; run < 2; run++) {
+        const { docs, errors } = loadDocs(tmpDir, ["docs/when.md"], { cacheFile });
+        assert.deepEqual(docs.map((d) => [d.path, d.when]), [["docs/when.md", undefined]]);
+        assert.deepEqual(errors, ["docs/when.md: when must be a block or {} mapping of branch, env, files, ignored"]);
+      }
+    } finally {
+      fs.rmSync(path.join(tmpDir, "docs/when.md"));
+      fs.rmSync(cacheFile, { force: true });
+    }
+  });
+
+  it("stops at the deadline with the docs parsed so far", () => {
+    let checks = 0;
+    const deadline = { expired: () => ++checks > 1, remaining: () => 0, tripped: () => checks > 1 };
+    const { docs } = loadDocs(tmpDir, ["docs/a.md", "docs/b.md"], { deadline });
+    assert.deepEqual(docs.map((d) => d.path), ["docs/a.md"]);
+  });
+
+  it("derives missing descriptions only when asked", () => {
+    fs.writeFileSync(path.join(tmpDir, "docs/legacy.md"), "# Legacy\n\nOld billing notes.\n");
+    assert.equal(loadDocs(tmpDir, ["docs/legacy.md"]).docs[0].description, null);
+    const [legacy, a] = loadDocs(tmpDir, ["docs/legacy.md", "docs/a.md"], { derive: true }).docs;
+    assert.equal(legacy.description, "Legacy. Old billing notes.");
+    assert.equal(legacy.derived, true);
+    assert.equal(a.derived, undefined);
+  });
+
+  it("takes covered code from covers, then paths, then the body", () => {
+    fs.writeFileSync(path.join(tmpDir, "docs/covers.md"), "---\ncovers: [src/a/**]\npaths: [src/b/**]\n---\n`src/c.js`\n");
+    fs.writeFileSync(path.join(tmpDir, "docs/paths.md"), "---\npaths: [src/b/**]\n---\n`src/c.js`\n");
+    fs.writeFileSync(path.join(tmpDir, "docs/body.md"), "---\ndescription: Body\n---\nSee `src/c.js`.\n");
+    const rels = ["docs/covers.md", "docs/paths.md", "docs/body.md"];
+    const covers = (options) => loadDocs(tmpDir, rels, options).docs.map((d) => d.covers);
+    assert.deepEqual(covers({ coversFromBody: true }), [["src/a/**"], ["src/b/**"], ["src/c.js"]]);
+    assert.equal(loadDocs(tmpDir, ["docs/body.md"], { coversFromBody: true }).docs[0].coversGuessed, true);
+    assert.deepEqual(covers({}), [["src/a/**"], ["src/b/**"], []]);
+  });
+
+  it("rebuilds the cache when derive is toggled", () => {
+    const cacheFile = path.join(tmpDir, "cache.json");
+    loadDocs(tmpDir, ["docs/legacy.md"], { cacheFile });
+    const { docs } = loadDocs(tmpDir, ["docs/legacy.md"], { cacheFile, derive: true });
+    assert.equal(docs[0].derived, true);
+  });
+});
+
+describe("buildIndexModel", () => {
+  const docs = [
+    { path: "docs/a.md", description: "A" },
+    { path: "docs/big/b.md", description: "B" },
+    { path: "docs/big/c.md", description: "C" },
+  ];
+
+  it("puts every doc at the root in the flat layout", () => {
+    const model = buildIndexModel(docs);
+    assert.deepEqual(model.docs, docs);
+    assert.deepEqual(model.groups, []);
+    assert.equal(model.collapsed, false);
+    assert.equal(model.omitted, null);
+  });
+
+  it("nests and collapses groups in the grouped layout", () => {
+    const model = buildIndexModel(docs, { layout: "grouped", groupLimit: 1 });
+    assert.deepEqual(model.docs.map((d) => d.path), ["docs/a.md"]);
+    assert.deepEqual(model.groups, [{ path: "docs/big", index: null, count: 2, collapsed: true, docs: [], groups: [] }]);
+    assert.equal(model.collapsed, true);
+  });
+
+  it("records omitted docs and truncation", () => {
+    const model = buildIndexModel(docs, { omitted: 4, glob: "docs/**", truncated: true });
+    assert.deepEqual(model.omitted, { count: 4, glob: "docs/**" });
+    assert.ok(model.instructions.at(-1).startsWith("Indexing ran out of time"));
+  });
+
+  it("notes compaction", () => {
+    assert.ok(buildIndexModel(docs, { compacted: true }).instructions.at(-1).startsWith("The conversation was compacted"));
+  });
+
+  it("explains derived descriptions when any doc has one", () => {
+    assert.ok(!buildIndexModel(docs).instructions.some((line) => line.includes("derived")));
+    const model = buildIndexModel([...docs, { path: "docs/d.md", description: "D", derived: true }]);
+    assert.ok(model.instructions.at(-1).startsWith("Descriptions marked derived"));
+  });
+});
+
+describe("renderers (golden)", () => {
+  // Regenerate with UPDATE_GOLDEN=1 node --test after an intended format change
+  const goldenDir = path.join(import.meta.dirname, "golden");
+  const extensions = { xml: "xml", markdown: "md", json: "json" };
+
+  const docs = [
+    { path: "docs/000-overview.md", description: "Project overview & goals.", title: "Overview" },
+    { path: "docs/api/rest.md", description: "REST endpoints.\nVersioned under /v2.", tags: ["api", "http"] },
+    { path: "docs/api/v1.md", description: "Old <v1> API.", status: "superseded", supersededBy: "docs/api/rest.md" },
+    { path: "docs/api/README.md", description: "HTTP API reference." },
+    { path: "docs/adr/001-db.md", description: "Chose Postgres.", package: "@acme/core" },
+    { path: "docs/adr/002-queue.md", description: "Chose SQS.", supersedes: ["docs/adr/000-old.md"] },
+    { path: "docs/notes.md", description: null },
+  ];
+  const cases = {
+    index: (format) => renderIndex(docs, { format, omitted: 3, glob: "docs/**/*.{md,mdc}", truncated: true }),
+    grouped: (format) => renderIndex(docs, { format, layout: "grouped", groupLimit: 2 }),
+    scoped: (format) => renderScoped("src/api/server.ts", docs.slice(1, 3), format),
+    relevant: (format) => renderRelevant(docs.slice(0, 2), format),
+    roots: (format) =>
+      renderIndex([{ path: "@handbook/naming.md", description: "Naming rules." }, docs[0]], {
+        format,
+        roots: [{ alias: "handbook", path: "/home/dev/handbook" }],
+      }),
+    sections: (format) =>
+      renderIndex(
+        [
+          {
+            path: "docs/runbook.md",
+            description: "Incident runbook.",
+            sections: [
+              { heading: "Database failover", start: 12, end: 40, description: "Promote the <replica>." },
+              { heading: "Rollback & restore", start: 41, end: 60 },
+            ],
+          },
+          docs[0],
+        ],
+        { format },
+      ),
+    delta: (format) =>
+      renderDelta({ added: docs.slice(0, 1), changed: docs.slice(1, 2), removed: ["docs/gone & old.md"] }, format),
+  };
+
+  it("covers every registered renderer", () => {
+    assert.deepEqual(Object.keys(RENDERERS).sort(), Object.keys(extensions).sort());
+  });
+
+  for (const [format, ext] of Object.entries(extensions)) {
+    for (const [name, render] of Object.entries(cases)) {
+      it(`renders ${name} as ${format}`, () => {
+        const file = path.join(goldenDir, `${name}.${ext}`);
+        const out = render(format);
+        if (process.env.UPDATE_GOLDEN === "1") fs.writeFileSync(file, out);
+        assert.equal(out, fs.readFileSync(file, "utf-8"));
+      });
+    }
+  }
+
+  it("produces JSON that parses", () => {
+    for (const render of Object.values(cases)) JSON.parse(render("json"));
+  });
+});
+
+describe("hookOutput", () => {
+  it("wraps context in the hookSpecificOutput envelope", () => {
+    assert.equal(
+      hookOutput("SessionStart", "ctx"),
+      '{"hookSpecificOutput":{"hookEventName":"SessionStart","additionalContext":"ctx"}}\n',
+    );
+  });
+});
+
+describe("readInstructionsTemplate", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-template-"));
+    fs.mkdirSync(path.join(tmpDir, ".claude"));
+    fs.writeFileSync(path.join(tmpDir, "team.md"), "\uFEFF{{default}}\r\n\r\n  Docs under docs/adr are binding decisions.  \r\n{{ count }} docs in {{glob}}.\r\n");
+    fs.writeFileSync(path.join(tmpDir, "typo.md"), "{{defualt}}\n{{count}} docs");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("returns trimmed non-blank lines", () => {
+    assert.deepEqual(readInstructionsTemplate(tmpDir, "team.md"), {
+      lines: ["{{default}}", "Docs under docs/adr are binding decisions.", "{{ count }} docs in {{glob}}."],
+      errors: [],
+    });
+  });
+
+  it("stays silent when the default file is missing", () => {
+    assert.deepEqual(readInstructionsTemplate(tmpDir, DEFAULT_CONFIG.instructions), { lines: null, errors: [] });
+  });
+
+  it("reports a missing configured file", () => {
+    assert.deepEqual(readInstructionsTemplate(tmpDir, "docs/instructions.md"), {
+      lines: null,
+      errors: ["docs/instructions.md: not found"],
+    });
+  });
+
+  it("reports unknown placeholders", () => {
+    const { lines, errors } = readInstructionsTemplate(tmpDir, "typo.md");
+    assert.equal(lines.length, 2);
+    assert.deepEqual(errors, ["typo.md: unknown placeholder {{defualt}}"]);
+  });
+});
+
+describe("expandInstructions", () => {
+  it("replaces a {{default}} line with the built-in sentences", () => {
+    assert.deepEqual(expandInstructions(["{{default}}", "Never edit docs/generated."], { count: 3, glob: "docs/**" }), [
+      ...INDEX_INSTRUCTIONS,
+      "Never edit docs/generated.",
+    ]);
+  });
+
+  it("fills count and glob and leaves unknown placeholders", () => {
+    assert.deepEqual(expandInstructions(["{{count}} docs match {{ glob }}; see {{other}}."], { count: 12, glob: "docs/**/*.md" }), [
+      "12 docs match docs/**/*.md; see {{other}}.",
+    ]);
+  });
+
+  it("inlines {{default}} inside a longer line", () => {
+    assert.deepEqual(expandInstructions(["Note: {{default}}"], { count: 0, glob: "" }), [
+      `Note: ${INDEX_INSTRUCTIONS.join(" ")}`,
+    ]);
+  });
+});
+
+describe("renderIndex (instructions template)", () => {
+  const docs = [{ path: "docs/a.md", description: "A" }];
+
+  it("replaces the default instructions and counts omitted docs", () => {
+    const out = renderIndex(docs, { template: ["{{count}} docs under {{glob}}.", "Never edit <generated>."], omitted: 2, glob: "docs/**" });
+    assert.ok(out.includes("<instructions>\n3 docs under docs/**.\nNever edit &lt;generated&gt;.\nSome docs were left out"));
+    assert.ok(!out.includes(INDEX_INSTRUCTIONS[0]));
+  });
+
+  it("keeps the defaults without a template", () => {
+    assert.ok(renderIndex(docs).includes(`<instructions>\n${INDEX_INSTRUCTIONS.join("\n")}\n</instructions>`));
+  });
+});
+
+describe("parseAsciidocHeader", () => {
+  it("reads the title and attribute entries", () => {
+    const fields = parseAsciidocHeader(
+      "= Billing Ledger\n// internal\n:description: Double-entry ledger. \\\n  Idempotent postings.\n:keywords: billing, ledger\n:status: Accepted\n\n:description: body attribute\n",
+    );
+    assert.equal(fields.title, "Billing Ledger");
+    assert.equal(fields.description, "Double-entry ledger. Idempotent postings.");
+    assert.equal(fields.tags, "billing, ledger");
+    assert.equal(fields.status, "Accepted");
+  });
+
+  it("prefers an explicit title attribute and handles BOM and CRLF", () => {
+    const fields = parseAsciidocHeader("\uFEFF= Doc Title\r\n:title: Short\r\n:description: Text\r\n");
+    assert.equal(fields.title, "Short");
+    assert.equal(fields.description, "Text");
+  });
+
+  it("returns no description without the attribute", () => {
+    assert.equal(parseAsciidocHeader("= Title\n\nBody text.").description, undefined);
+  });
+});
+
+describe("parseRstHeader", () => {
+  it("reads the title and bibliographic fields", () => {
+    const fields = parseRstHeader(
+      "=======\nBilling\n=======\n\n:Description: Double-entry ledger,\n   idempotent postings.\n:Superseded By: 012\n:tags: billing, ledger\n\nFirst paragraph.\n",
+    );
+    assert.equal(fields.title, "Billing");
+    assert.equal(fields.description, "Double-entry ledger, idempotent postings.");
+    assert.equal(fields.superseded_by, "012");
+    assert.equal(fields.tags, "billing, ledger");
+  });
+
+  it("falls back to the first paragraph, skipping comments and directives", () => {
+    const fields = parseRstHeader(
+      ".. _billing:\n\nBilling\n-------\n\n.. note::\n   Draft.\n\nThe ledger records every\nposting twice.\n\nMore text.\n",
+    );
+    assert.equal(fields.title, "Billing");
+    assert.equal(fields.description, "The ledger records every posting twice.");
+  });
+});
+
+describe("parseHtmlHead", () => {
+  it("reads meta tags in any attribute order and the title", () => {
+    const fields = parseHtmlHead(
+      '<html><head><title>\n  Billing &amp; Ledger\n</title><meta content="Ledger &quot;v2&quot; &#x2014; postings" name="Description">' +
+        "<meta name=keywords content='billing, ledger'><meta charset=\"utf-8\"></head><body><meta name=\"description\" content=\"late\">",
+    );
+    assert.equal(fields.title, "Billing & Ledger");
+    assert.equal(fields.description, 'Ledger "v2" \u2014 postings');
+    assert.equal(fields.tags, "billing, ledger");
+  });
+});
+
+describe("parseTextHeader", () => {
+  it("reads Key: value headers up to the first blank line", () => {
+    const fields = parseTextHeader("Title: Runbook\nDescription: Staging deploys,\n  rollbacks.\nSuperseded-By: docs/new.txt\n\nNote: body\n");
+    assert.deepEqual(fields, { title: "Runbook", description: "Staging deploys, rollbacks.", superseded_by: "docs/new.txt" });
+  });
+
+  it("ignores files that do not start with a header", () => {
+    assert.deepEqual(parseTextHeader("Just some notes.\nDescription: not a header\n"), {});
+  });
+});
+
+describe("extractorFor", () => {
+  it("picks extractors by extension, falling back to YAML", () => {
+    assert.equal(extractorFor("docs/a.md"), EXTRACTORS.yaml);
+    assert.equal(extractorFor("docs/a.mdx"), EXTRACTORS.yaml);
+    assert.equal(extractorFor("docs/a.markdoc"), EXTRACTORS.yaml);
+    assert.equal(extractorFor("docs/a.ADOC"), EXTRACTORS.asciidoc);
+    assert.equal(extractorFor("docs/a.rst"), EXTRACTORS.rst);
+    assert.equal(extractorFor("docs/a.htm"), EXTRACTORS.html);
+    assert.equal(extractorFor("docs/a.txt"), EXTRACTORS.text);
+    assert.equal(extractorFor("docs/a.unknown"), EXTRACTORS.yaml);
+  });
+
+  it("applies configured extensions and regex extractors", () => {
+    assert.equal(extractorFor("docs/a.qmd", { qmd: "yaml" }), EXTRACTORS.yaml);
+    assert.equal(extractorFor("docs/a.txt", { txt: "yaml" }), EXTRACTORS.yaml);
+    const org = extractorFor("notes/a.org", { org: { description: "^#\\+DESCRIPTION:\\s*(.+)$", tags: "^#\\+FILETAGS:\\s*(.+)$" } });
+    const content = "#+TITLE: Notes\n#+DESCRIPTION: Org notes\n#+FILETAGS: a, b\n";
+    assert.equal(org.scalar(content, "description"), "Org notes");
+    assert.deepEqual(org.list(content, "tags"), ["a", "b"]);
+    assert.equal(org.scalar(content, "title"), null);
+  });
+
+  it("lets YAML frontmatter win in any format", () => {
+    const content = "---\ndescription: From YAML\ntags: [x]\n---\nDescription: From header\n";
+    assert.equal(EXTRACTORS.text.scalar(content, "description"), "From YAML");
+    assert.deepEqual(EXTRACTORS.asciidoc.list(content, "tags"), ["x"]);
+  });
+});
+
+describe("readHead", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-readhead-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("stops at maxBytes or when done says so", () => {
+    const file = path.join(tmpDir, "page.html");
+    fs.writeFileSync(file, "<head><meta name=description content=x></head>\n" + "<p>body</p>\n".repeat(10000));
+    assert.ok(readHead(file, { maxBytes: 8192 }).length <= 8192);
+    assert.ok(EXTRACTORS.html.read(file).length <= 4096);
+    assert.equal(EXTRACTORS.html.scalar(EXTRACTORS.html.read(file), "description"), "x");
+  });
+
+  it("drops the line cut by maxBytes", () => {
+    const file = path.join(tmpDir, "long.md");
+    fs.writeFileSync(file, `${"x".repeat(8180)}\n[ref]: other-decision.md\n`);
+    assert.equal(readHead(file, { maxBytes: 8192 }), `${"x".repeat(8180)}\n`);
+    fs.writeFileSync(file, "short\nlast line");
+    assert.equal(readHead(file, { maxBytes: 8192 }), "short\nlast line");
+  });
+});
+
+describe("plainText", () => {
+  it("strips inline Markdown syntax", () => {
+    assert.equal(
+      plainText("Use **bold**, *em*, _em_, `code` and ~~old~~ with [links](a.md), ![img](b.png) and <br> tags"),
+      "Use bold, em, em, code and old with links, img and tags",
+    );
+  });
+
+  it("keeps underscores inside identifiers", () => {
+    assert.equal(plainText("set  max_tokens\tand __init__"), "set max_tokens and init");
+  });
+});
+
+describe("trimWords", () => {
+  it("keeps short text and cuts long text with an ellipsis", () => {
+    assert.equal(trimWords("one  two three", 3), "one two three");
+    assert.equal(trimWords("one two, three four", 2), "one two...");
+  });
+});
+
+describe("deriveDescription", () => {
+  it("joins the first H1 and the first paragraph", () => {
+    assert.equal(
+      deriveDescription("---\ntitle: Ledger\n---\n# Billing Ledger\n\nThe ledger records **every** posting\ntwice.\n\nMore text.\n"),
+      "Billing Ledger. The ledger records every posting twice.",
+    );
+  });
+
+  it("skips code, comments, tables, rules and images", () => {
+    const content = [
+      "<!-- generated",
+      "do not edit -->",
+      "![logo](logo.png)",
+      "# API:",
+      "```sh",
+      "curl example",
+      "```",
+      "| a | b |",
+      "---",
+      "[ref]: https://example.com",
+      "> Public REST API, see [auth](auth.md).",
+    ].join("\n");
+    assert.equal(deriveDescription(content), "API: Public REST API, see auth.");
+  });
+
+  it("lists section headings when there is no paragraph", () => {
+    assert.equal(deriveDescription("# Runbook\n\n## Deploy\n\n### Rollback ###\n"), "Runbook. Sections: Deploy, Rollback.");
+  });
+
+  it("reads setext headings and list paragraphs", () => {
+    assert.equal(deriveDescription("Runbook\n=======\n\n- deploy staging\n- roll back\n"), "Runbook. deploy staging, roll back");
+  });
+
+  it("trims to the style guide's word target", () => {
+    const words = Array.from({ length: 40 }, (_, i) => `w${i}`).join(" ");
+    const description = deriveDescription(`# Topic\n\n${words}\n`);
+    assert.equal(description.split(" ").length, DERIVED_WORDS);
+    assert.ok(description.startsWith("Topic. w0 w1"));
+    assert.ok(description.endsWith("w18..."));
+  });
+
+  it("returns null when there is nothing to derive from", () => {
+    assert.equal(deriveDescription("---\ntitle: Empty\n---\n\n```\ncode\n```\n"), null);
+    assert.equal(deriveDescription(""), null);
+  });
+});
+
+describe("codePaths", () => {
+  it("collects path-like inline code spans from the body", () => {
+    const content = [
+      "---",
+      "description: `ignored/frontmatter.js`",
+      "---",
+      "See `src/billing/ledger.ts:42`, `./lib/` and `package.json`.",
+      "Not paths: `npm test`, `useState`, `https://example.com/a.js`, `../up.js`, `--flag`.",
+      "```",
+      "`src/in/fence.js`",
+      "```",
+      "Again `src/billing/ledger.ts`.",
+    ].join("\n");
+    assert.deepEqual(codePaths(content), ["src/billing/ledger.ts", "lib/**"]);
+  });
+});
+
+describe("pruneGuessedCovers", () => {
+  const files = ["docs/a.md", "docs/img/x.png", "src/api/routes.js", "src/api/util.js", "README.md"];
+
+  it("keeps only listed code outside the docs", () => {
+    const doc = { path: "docs/a.md", coversGuessed: true, covers: ["src/api/routes.js", "src/api/**", "src/gone.js", "docs/**", "docs/a.md", "lib/**"] };
+    const [pruned] = pruneGuessedCovers([doc], files, ["docs/a.md"]);
+    assert.deepEqual(pruned.covers, ["src/api/routes.js", "src/api/**"]);
+  });
+
+  it("leaves declared covers alone", () => {
+    const docs = [{ path: "docs/a.md", covers: ["docs/**", "src/gone.js"] }];
+    assert.equal(pruneGuessedCovers(docs, files, ["docs/a.md"]), docs);
+  });
+});
+
+describe("markStale", () => {
+  const history = [["src/a.js"], ["src/b.js", "docs/other.md"], ["docs/x.md"], ["src/a.js"]];
+
+  it("counts covered commits newer than the doc's last commit", () => {
+    const [doc] = markStale([{ path: "docs/x.md", covers: ["src/**"] }], history, 1);
+    assert.equal(doc.stale, true);
+    assert.equal(doc.behind, 2);
+  });
+
+  it("applies the threshold and skips docs without covers", () => {
+    const docs = [{ path: "docs/x.md", covers: ["src/a.js"] }, { path: "docs/y.md", covers: [] }];
+    assert.deepEqual(markStale(docs, history, 2), docs);
+    assert.equal(markStale(docs, history, 1)[0].behind, 1);
+  });
+
+  it("leaves never-committed docs alone unless the window is full", () => {
+    const doc = { path: "docs/new.md", covers: ["src/**"] };
+    assert.deepEqual(markStale([doc], history, 1), [doc]);
+    const full = Array.from({ length: HISTORY_DEPTH }, (_, i) => (i % 2 ? ["src/a.js"] : ["README.md"]));
+    assert.equal(markStale([doc], full, 1)[0].behind, HISTORY_DEPTH / 2);
+  });
+
+  it("does nothing outside git or when disabled", () => {
+    const docs = [{ path: "docs/x.md", covers: ["src/**"] }];
+    assert.equal(markStale(docs, null, 1), docs);
+    assert.equal(markStale(docs, history, 0), docs);
+  });
+});
+
+describe("resolveLink", () => {
+  it("resolves relative and root-relative targets to project paths", () => {
+    assert.equal(resolveLink("docs/adr/002.md", "001.md"), "docs/adr/001.md");
+    assert.equal(resolveLink("docs/adr/002.md", "../guide.md#setup"), "docs/guide.md");
+    assert.equal(resolveLink("docs/adr/002.md", "/src/billing/"), "src/billing");
+    assert.equal(resolveLink("docs/a.md", "<my%20notes.md>"), "docs/my notes.md");
+    assert.equal(resolveLink("docs/a.md", "b.md?plain=1"), "docs/b.md");
+  });
+
+  it("ignores URLs, anchors and targets outside the project", () => {
+    assert.equal(resolveLink("docs/a.md", "https://example.com/a.md"), null);
+    assert.equal(resolveLink("docs/a.md", "mailto:team@example.com"), null);
+    assert.equal(resolveLink("docs/a.md", "#section"), null);
+    assert.equal(resolveLink("docs/a.md", "//cdn.example.com/x.js"), null);
+    assert.equal(resolveLink("docs/a.md", "../../outside.md"), null);
+  });
+});
+
+describe("markdownLinks", () => {
+  it("collects inline links and reference definitions from the body", () => {
+    const content = [
+      "---",
+      "see: [fm](ignored.md)",
+      "---",
+      'Follows [ADR 1](001.md "title") and [the [nested] guide](../guide.md).',
+      "![diagram](diagram.png) and `[code](code.md)` are skipped.",
+      "```",
+      "[fenced](fenced.md)",
+      "```",
+      "[ref]: <./ref notes.md>",
+      "Again [ADR 1](./001.md#context) and [self](002.md).",
+    ].join("\n");
+    assert.deepEqual(markdownLinks("docs/adr/002.md", content), ["docs/adr/001.md", "docs/guide.md", "docs/adr/ref notes.md"]);
+  });
+});
+
+describe("relateDocs", () => {
+  it("links indexed docs in both directions", () => {
+    const docs = relateDocs([
+      { path: "docs/001.md", links: [] },
+      { path: "docs/002.md", links: ["docs/001.md", "src/x.js"] },
+      { path: "docs/003.md", links: ["docs/001.md", "docs/hidden.md"] },
+      { path: "docs/004.md" },
+    ]);
+    assert.deepEqual(docs.map((d) => d.related), [["docs/002.md", "docs/003.md"], ["docs/001.md"], ["docs/001.md"], undefined]);
+  });
+});
+
+describe("findBrokenLinks", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-links-"));
+    fs.mkdirSync(path.join(tmpDir, "src"));
+    fs.writeFileSync(path.join(tmpDir, "a.md"), "");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reports targets that are neither files nor directories", () => {
+    const docs = [{ path: "a.md", links: ["src", "a.md", "gone.md"] }, { path: "b.md" }];
+    assert.deepEqual(findBrokenLinks(tmpDir, docs), [{ path: "a.md", target: "gone.md" }]);
+  });
+});
+
+describe("compactDocs", () => {
+  it("cuts descriptions to their first sentence and leaves out sections", () => {
+    const sections = [{ heading: "Setup", start: 5, end: 9 }];
+    assert.deepEqual(compactDocs([{ path: "a.md", description: "One. Two.", sections }, { path: "b.md", description: null }]), [
+      { path: "a.md", description: "One." },
+      { path: "b.md", description: null },
+    ]);
+  });
+});
+
+describe("session snapshots", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-snapshot-"));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("keys snapshots by project and session", () => {
+    const a = sessionSnapshotPath("/repo", "s1");
+    assert.ok(a.startsWith(path.join(stateDir(), "sessions") + path.sep));
+    assert.notEqual(a, sessionSnapshotPath("/repo", "s2"));
+    assert.notEqual(a, sessionSnapshotPath("/other", "s1"));
+    assert.notEqual(a, scopedRecordPath("/repo", "s1"));
+    assert.equal(path.dirname(scopedRecordPath("/repo", "s1")), path.dirname(a));
+  });
+
+  it("round-trips the scoped docs surfaced in a session", () => {
+    const file = path.join(tmpDir, "s.scoped.json");
+    assert.deepEqual(readScopedRecord(file), []);
+    writeScopedRecord(file, ["docs/a.md"]);
+    assert.deepEqual(readScopedRecord(file), ["docs/a.md"]);
+    fs.writeFileSync(file, JSON.stringify({ version: 0, docs: ["docs/a.md"] }));
+    assert.deepEqual(readScopedRecord(file), []);
+  });
+
+  it("round-trips descriptions and rejects unusable files", () => {
+    const file = path.join(tmpDir, "s.json");
+    assert.equal(readSessionSnapshot(file), null);
+    writeSessionSnapshot(file, [{ path: "a.md", description: "A" }, { path: "b.md", description: null }]);
+    assert.deepEqual(readSessionSnapshot(file), { "a.md": "A", "b.md": null });
+    fs.writeFileSync(file, "{");
+    assert.equal(readSessionSnapshot(file), null);
+  });
+
+  it("prunes session files older than the retention when writing a snapshot", () => {
+    const dir = path.join(tmpDir, "sessions");
+    fs.mkdirSync(dir);
+    const old = new Date(Date.now() - SNAPSHOT_MAX_AGE_MS - 60_000);
+    for (const name of ["old.json", "old.scoped.json", "keep.txt"]) {
+      fs.writeFileSync(path.join(dir, name), "{}");
+      fs.utimesSync(path.join(dir, name), old, old);
+    }
+    fs.writeFileSync(path.join(dir, "recent.scoped.json"), "{}");
+    writeSessionSnapshot(path.join(dir, "new.json"), []);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["keep.txt", "new.json", "recent.scoped.json"]);
+    pruneSessionFiles(path.join(tmpDir, "missing"));
+  });
+
+  it("diffs the current docs against a snapshot", () => {
+    const snapshot = { "a.md": "A", "b.md": null, "c.md": "C", "z.md": "Z" };
+    const docs = [
+      { path: "a.md", description: "A" },
+      { path: "b.md", description: null },
+      { path: "c.md", description: "C2" },
+      { path: "d.md", description: "D" },
+    ];
+    assert.deepEqual(diffSnapshot(snapshot, docs), {
+      added: [{ path: "d.md", description: "D" }],
+      changed: [{ path: "c.md", description: "C2" }],
+      removed: ["z.md"],
+    });
+  });
+});
+
+describe("doc roots", () => {
+  let tmpDir;
+  let projectDir;
+  let handbookDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-roots-"));
+    projectDir = path.join(tmpDir, "project");
+    handbookDir = path.join(tmpDir, "handbook");
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content);
+    };
+    write(path.join(projectDir, "docs/a.md"), "---\ndescription: Project doc\n---\nSee [naming](../../handbook/naming.md).\n");
+    write(path.join(handbookDir, "naming.md"), "---\ndescription: Naming rules\npaths: [src/**]\n---\nAlso [style](style/guide.md) and [gone](gone.md).\n");
+    write(path.join(handbookDir, "style/guide.md"), "---\ndescription: Style guide\n---\n");
+    write(path.join(handbookDir, "drafts/wip.md"), "---\ndescription: Draft\n---\n");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("resolves root directories against home and the project", () => {
+    assert.equal(resolveRootDir("/repo", "~/.claude/docs"), path.join(os.homedir(), ".claude/docs"));
+    assert.equal(resolveRootDir("/repo", "~"), os.homedir());
+    assert.equal(resolveRootDir("/repo", "../handbook"), path.resolve("/handbook"));
+    assert.equal(resolveRootDir("/repo", "/abs/docs"), "/abs/docs");
+  });
+
+  it("maps aliased paths back to files", () => {
+    const roots = [{ alias: "hb", path: "/hb" }];
+    assert.equal(resolveDocFile("/repo", roots, "@hb/a/b.md"), "/hb/a/b.md");
+    assert.equal(resolveDocFile("/repo", roots, "docs/a.md"), "/repo/docs/a.md");
+    assert.equal(resolveDocFile("/repo", roots, "@other/a.md"), "/repo/@other/a.md");
+  });
+
+  it("collects docs from extra roots under aliased paths", () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      roots: [
+        { alias: "handbook", path: "../handbook", glob: [ROOT_GLOB], exclude: ["drafts/**"] },
+        { alias: "missing", path: "../missing", glob: [ROOT_GLOB], exclude: [] },
+      ],
+    };
+    const { docs, errors, roots } = collectDocs(projectDir, config);
+    assert.deepEqual(docs.map((d) => d.path), ["docs/a.md", "@handbook/naming.md", "@handbook/style/guide.md"]);
+    assert.deepEqual(roots, [{ alias: "handbook", path: handbookDir }]);
+    assert.deepEqual(errors, [`root "missing": ${path.join(tmpDir, "missing")} is not a directory`]);
+
+    const naming = docs[1];
+    assert.deepEqual(naming.paths, ["src/**"]);
+    assert.deepEqual(naming.covers, []);
+    assert.deepEqual(naming.links, ["@handbook/style/guide.md", "@handbook/gone.md"]);
+    assert.deepEqual(findBrokenLinks(projectDir, docs, roots), [{ path: "@handbook/naming.md", target: "@handbook/gone.md" }]);
+  });
+});
+
+describe("slugify", () => {
+  it("builds GitHub-style anchors", () => {
+    assert.equal(slugify("Database Failover"), "database-failover");
+    assert.equal(slugify("Step 2: roll back (prod)"), "step-2-roll-back-prod");
+    assert.equal(slugify("snake_case and-hyphens"), "snake_case-and-hyphens");
+    assert.equal(slugify("Überblick"), "überblick");
+  });
+});
+
+describe("markdownSections", () => {
+  const content = [
+    "---",
+    "description: Runbook",
+    "---",
+    "",
+    "# Runbook",
+    "",
+    "## Failover",
+    "",
+    "Promote the replica.",
+    "",
+    "### Verify `lag`",
+    "",
+    "```sh",
+    "# not a heading",
+    "```",
+    "",
+    "## Failover",
+    "",
+    "Rollback",
+    "--------",
+    "Revert.",
+    "",
+  ].join("\n");
+
+  it("lists headings with line ranges in the whole file", () => {
+    assert.deepEqual(markdownSections(content), [
+      { heading: "Runbook", level: 1, anchor: "runbook", start: 5, end: 21 },
+      { heading: "Failover", level: 2, anchor: "failover", start: 7, end: 15 },
+      { heading: "Verify lag", level: 3, anchor: "verify-lag", start: 11, end: 15 },
+      { heading: "Failover", level: 2, anchor: "failover-1", start: 17, end: 17 },
+      { heading: "Rollback", level: 2, anchor: "rollback", start: 19, end: 21 },
+    ]);
+  });
+
+  it("reads section descriptions from a comment under the heading", () => {
+    const sections = markdownSections("# A\n\n<!-- description: Failover\n  steps. -->\n\n## B\n<!-- not a description -->\n<!--\n# hidden\n-->\n");
+    assert.deepEqual(sections.map((s) => [s.heading, s.description]), [["A", "Failover steps."], ["B", undefined]]);
+  });
+
+  it("does not take a rule under a paragraph line for a heading", () => {
+    assert.deepEqual(markdownSections("Intro line\nmore text\n---\n"), []);
+  });
+
+  it("finds sections by anchor or heading text", () => {
+    const sections = markdownSections(content);
+    assert.equal(findSection(sections, "#verify-lag").start, 11);
+    assert.equal(findSection(sections, "Verify lag").start, 11);
+    assert.equal(findSection(sections, "failover-1").start, 17);
+    assert.equal(findSection(sections, "missing"), null);
+  });
+});
+
+describe("outlineSections", () => {
+  const section = (heading, level, start) => ({ heading, level, anchor: heading.toLowerCase(), start, end: start + 1 });
+
+  it("keeps the top two levels below a lone title", () => {
+    const sections = [section("Runbook", 1, 1), section("Failover", 2, 3), section("Verify", 3, 5), section("Rollback", 2, 7)];
+    assert.deepEqual(outlineSections(sections), [
+      { heading: "Failover", start: 3, end: 4 },
+      { heading: "Rollback", start: 7, end: 8 },
+    ]);
+  });
+
+  it("keeps several level-1 headings", () => {
+    const sections = [section("One", 1, 1), section("Two", 1, 3), { ...section("Sub", 2, 5), description: "Sub part." }];
+    assert.deepEqual(outlineSections(sections).map((s) => s.heading), ["One", "Two", "Sub"]);
+    assert.equal(outlineSections(sections)[2].description, "Sub part.");
+  });
+});
+
+describe("MCP server", () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "microdoc-mcp-"));
+    const write = (rel, content) => {
+      fs.mkdirSync(path.dirname(path.join(tmpDir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, rel), content);
+    };
+    write("docs/runbook.md", "---\ndescription: Incident runbook\ntags: [ops]\n---\n# Runbook\n\n## Database failover\n\nPromote the replica.\n\n## Rollback\n\nRevert the deploy.\n");
+    write("docs/ledger.md", "---\ndescription: Billing ledger\nstatus: accepted\n---\nDouble-entry postings.\n");
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const call = (name, args) => {
+    const response = handleMcpMessage(tmpDir, { jsonrpc: "2.0", id: 1, method: "tools/call", params: { name, arguments: args } });
+    return response.result;
+  };
+
+  it("searches bodies and names the matching sections", () => {
+    const docs = [
+      { path: "docs/runbook.md", description: "Incident runbook" },
+      { path: "docs/ledger.md", description: "Billing ledger" },
+    ];
+    const hits = searchDocs(tmpDir, docs, "promote replica");
+    assert.deepEqual(hits.map((h) => h.doc.path), ["docs/runbook.md"]);
+    assert.deepEqual(hits[0].sections.map((s) => s.anchor), ["database-failover"]);
+    assert.deepEqual(searchDocs(tmpDir, docs, "ledger postings").map((h) => h.sections), [[]]);
+    assert.equal(searchDocs(tmpDir, docs, "runbook ledger", { limit: 1 }).length, 1);
+  });
+
+  it("answers initialize with a supported protocol version", () => {
+    const init = (protocolVersion) => handleMcpMessage(tmpDir, { jsonrpc: "2.0", id: 0, method: "initialize", params: { protocolVersion } });
+    assert.equal(init("2025-03-26").result.protocolVersion, "2025-03-26");
+    assert.equal(init("1999-01-01").result.protocolVersion, MCP_PROTOCOL_VERSIONS[0]);
+    assert.deepEqual(init().result.capabilities, { tools: {} });
+    assert.equal(init().result.serverInfo.name, "microdoc");
+  });
+
+  it("lists its tools and ignores notifications", () => {
+    const list = handleMcpMessage(tmpDir, { jsonrpc: "2.0", id: 2, method: "tools/list" });
+    assert.deepEqual(list.result.tools.map((t) => t.name), ["list_docs", "search_docs", "get_doc_section"]);
+    assert.equal(list.result.tools, MCP_TOOLS);
+    assert.equal(handleMcpMessage(tmpDir, { jsonrpc: "2.0", method: "notifications/initialized" }), null);
+  });
+
+  it("reports unknown methods, unknown tools and malformed messages as protocol errors", () => {
+    assert.equal(handleMcpMessage(tmpDir, { jsonrpc: "2.0", id: 3, method: "resources/list" }).error.code, -32601);
+    const unknown = handleMcpMessage(tmpDir, { jsonrpc: "2.0", id: 4, method: "tools/call", params: { name: "toString" } });
+    assert.equal(unknown.error.code, -32602);
+    assert.equal(handleMcpMessage(tmpDir, [1]).error.code, -32600);
+    for (const method of ["tools/call", "initialize"]) {
+      for (const params of [null, [], "x"]) {
+        const invalid = handleMcpMessage(tmpDir, { jsonrpc: "2.0", id: 5, method, params });
+        assert.deepEqual(invalid, { jsonrpc: "2.0", id: 5, error: { code: -32602, message: "Invalid params: expected an object" } });
+      }
+    }
+  });
+
+  it("filters list_docs", () => {
+    const paths = (args) => JSON.parse(call("list_docs", args).content[0].text).docs.map((d) => d.path);
+    assert.deepEqual(paths({}), ["docs/ledger.md", "docs/runbook.md"]);
+    assert.deepEqual(paths({ tag: "ops" }), ["docs/runbook.md"]);
+    assert.deepEqual(paths({ status: "Accepted" }), ["docs/ledger.md"]);
+    assert.deepEqual(paths({ glob: "!docs/ledger.md" }), ["docs/runbook.md"]);
+    assert.deepEqual(paths({ package: "web" }), []);
+  });
+
+  it("returns search hits with section line ranges", () => {
+    const { results } = JSON.parse(call("search_docs", { query: "revert deploy" }).content[0].text);
+    assert.deepEqual(results, [
+      { path: "docs/runbook.md", description: "Incident runbook", tags: ["ops"], matches: [{ heading: "Rollback", anchor: "rollback", lines: "11-13" }] },
+    ]);
+    assert.equal(call("search_docs", { query: "" }).isError, true);
+    assert.equal(call("search_docs", { query: "x", limit: 0 }).isError, true);
+  });
+
+  it("returns one section of an indexed doc", () => {
+    assert.deepEqual(call("get_doc_section", { path: "docs/runbook.md", anchor: "database-failover" }), {
+      content: [{ type: "text", text: "## Database failover\n\nPromote the replica." }],
+    });
+    const missing = call("get_doc_section", { path: "docs/runbook.md", anchor: "nope" });
+    assert.equal(missing.isError, true);
+    assert.equal(missing.content[0].text, 'docs/runbook.md has no section "nope"; anchors: runbook, database-failover, rollback');
+    assert.equal(call("get_doc_section", { path: "../etc/passwd", anchor: "x" }).content[0].text, "../etc/passwd is not an indexed doc");
   });
 });